@@ -4,16 +4,25 @@
  *
  * Local:
  * - Theme toggle (persisted)
- * - Hub + 3 active modes
- * - Deterministic daily seed (UTC day)
- * - Anti-cheat / focus rule (15s away) via Page Visibility API
- * - Share text + copy + downloadable image via Canvas
+ * - Hub + 3 active modes; hash router (#/challenge, #/boss?min=45, …) for Back/Forward and deep links
+ * - Deterministic daily seed (UTC day); personal day boundary: UTC or local midnight
+ * - Anti-cheat / focus rule via Page Visibility API (Strict / Standard / Lenient per mode)
+ * - Share text + copy + downloadable image via Canvas; result links (#/result?d=…) checked against the stored run
+ * - Backup: versioned JSON export/import (merge + dedupe), sessions CSV
  *
  * Supabase (Auth mode):
  * - profiles: display_name + circle_style
- * - daily_runs: 24h challenge
- * - sessions: bossFight / focusArena
+ * - daily_runs: 24h challenge (+ leave_rule preset id with its leave_rule_params values, away_log)
+ * - sessions: bossFight / focusArena / focusCycle / bossRaid (client_run_id unique → idempotent replay; + leave_rule, leave_rule_params, away_log, heals,
+ *   cycle_id / cycle_round / cycle_rounds — a focusCycle row's cycle_round is the number of rounds cleared;
+ *   raid_code / raid_size / raid_damage — one bossRaid row per participant; boss_name for bossFight)
+ * - journal_entries: 24h Challenge note per day (day_utc unique per user; note, on_card, photo_path into the "journal" storage bucket)
+ * - tasks: Boss Fight backlog (id from the client, name, position, status open/done/archived; stats join on sessions.task_name)
  * - presence: lightweight mode + last_seen
+ * - leaderboard(p_metric, p_since, p_top_n): RPC returning name, circle colour, value, rank (tools/leaderboard.sql);
+ *   daily_runs/sessions stay readable by their owner only
+ * - Realtime: raid:<code> channels (broadcast + presence) for Co-op Raid
+ * - Schema beyond the original tables: tools/migrations/*.sql, run in number order
  */
 
 (function () {
@@ -32,8 +41,9 @@
 
   function minutesToMs(m) { return m * 60 * 1000; }
 
+  // Countdowns round up: 25:00 shows for the first second, 00:00 only at the end.
   function msToClock(ms) {
-    const s = Math.max(0, Math.floor(ms / 1000));
+    const s = Math.max(0, Math.ceil(ms / 1000));
     const mm = Math.floor(s / 60);
     const ss = s % 60;
     return `${pad2(mm)}:${pad2(ss)}`;
@@ -41,7 +51,7 @@
 
   function msToResetCountdown(ms) {
     // show HH:MM:SS
-    const s = Math.max(0, Math.floor(ms / 1000));
+    const s = Math.max(0, Math.ceil(ms / 1000));
     const hh = Math.floor(s / 3600);
     const mm = Math.floor((s % 3600) / 60);
     const ss = s % 60;
@@ -56,6 +66,34 @@
     return n;
   }
 
+  function localDayKey(d = new Date()) {
+    return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+  }
+
+  function nextLocalMidnight(d = new Date()) {
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1);
+  }
+
+  // Personal day (challenge state, streak, history, DB day_utc): UTC or local
+  // midnight per the user's setting. Crowd/presence/leaderboards stay on UTC.
+  // Challenge ids stay keyed by the calendar date, so "2026-10-19" is the same
+  // challenge for everyone whichever boundary they use.
+  function isLocalDayBoundary() {
+    return localStorage.getItem(LS.dayBoundary) === "local";
+  }
+
+  function userDayKey(d = new Date()) {
+    return isLocalDayBoundary() ? localDayKey(d) : utcDayKey(d);
+  }
+
+  function nextUserMidnight(d = new Date()) {
+    return isLocalDayBoundary() ? nextLocalMidnight(d) : nextUtcMidnight(d);
+  }
+
+  function dayFrameLabel() {
+    return isLocalDayBoundary() ? "local" : "UTC";
+  }
+
   // Deterministic hash -> uint32
   function hash32(str) {
     let h = 2166136261 >>> 0;
@@ -78,9 +116,18 @@
     };
   }
 
+  function daySeed(dayKey, salt = "") {
+    return hash32(`yve:${dayKey}:${salt}`);
+  }
+
   function todaySeed(salt = "") {
-    const key = utcDayKey();
-    return hash32(`yve:${key}:${salt}`);
+    return daySeed(utcDayKey(), salt);
+  }
+
+  function addDays(dayKey, n) {
+    const d = new Date(dayKey + "T00:00:00Z");
+    d.setUTCDate(d.getUTCDate() + n);
+    return utcDayKey(d);
   }
 
   // -----------------------------
@@ -90,13 +137,48 @@
     theme: "yve_theme",
     userMode: "yve_user_mode", // 'anon' | 'auth'
     streak: "yve_streak",
-    lastStreakDay: "yve_streak_last_day", // UTC day
-    todayState: "yve_today_state", // 24h challenge (UTC): {dayKey, state, startedAt, resultAt, challengeId}
-    bossHistory: "yve_boss_history",
-    arenaHistory: "yve_arena_history",
-    arenaBadges: "yve_arena_badges" // integer
+    dayBoundary: "yve_day_boundary", // 'utc' | 'local'
+    leaveRules: "yve_leave_rules", // {challenge24, bossFight, focusArena}: 'strict' | 'standard' | 'lenient'
+    lastStreakDay: "yve_streak_last_day", // last completed (or frozen) personal day (see userDayKey)
+    todayState: "yve_today_state", // 24h challenge (personal day): {dayKey, state, startedAt, resultAt, challengeId, rule, awayLog}
+    challengeHistory: "yve_challenge_history", // {[dayKey]: 'in_progress' | 'completed' | 'failed'}
+    bossHistory: "yve_boss_history", // [{dayKey, task, boss (name), minutes, ts, result, heals, rule, away}] newest first
+    arenaHistory: "yve_arena_history", // [{dayKey, minutes, ts, result, rule, away, cycle?: {round, rounds}}] newest first
+    cycleHistory: "yve_cycle_history", // [{dayKey, ts, rounds, cleared, minutes (per round), result, rule}] newest first
+    raidHistory: "yve_raid_history", // [{dayKey, ts, code, minutes, size, dealt, result, heals, rule, away}] newest first
+    raidServer: "yve_raid_server", // optional loopback ws:// relay URL standing in for Supabase Realtime; set by hand
+    tasks: "yve_tasks", // Anonymous backlog: [{id, name, position, status: 'open' | 'done' | 'archived', createdAt, updatedAt, doneAt}]
+    authTasks: "yve_auth_tasks", // Auth cache of the tasks table: {userId, tasks: [same shape], syncedAt}
+    arenaBadges: "yve_arena_badges", // integer
+    activeRun: "yve_active_run", // running Boss/Arena: {mode, runId, task, selectedMin, startISO, remainingMs, heals, rule, away, boss?: {id, shields, shieldUp}, cycle?, savedAt}
+    outbox: "yve_outbox", // pending DB writes: [{id, key, table, payload, onConflict, attempts, nextAt, createdAt}]
+    anonImported: "yve_anon_imported", // {[userId]: ISO} — one-time anonymous history import, done or skipped
+    authStreak: "yve_auth_streak", // Auth cache from daily_runs: {userId, days: [YYYY-MM-DD], frozen: [YYYY-MM-DD], syncedAt}
+    freezes: "yve_streak_freezes", // integer (Anonymous); Auth keeps it in profiles.streak_freezes
+    freezeHistory: "yve_freeze_history", // Anonymous freeze uses: [{dayKey, usedAt}]
+    alerts: "yve_alerts", // {end, halfway, away, notify, sound, flash}: booleans, see ALERT_DEFAULTS
+    shareFormat: "yve_share_format", // 'landscape' | 'story' | 'square'
+    shareTemplate: "yve_share_template", // SHARE_TEMPLATES id
+    journal: "yve_journal", // Anonymous: {[dayKey]: {dayKey, challengeId, note, onCard, photo, photoPath, updatedAt}}; photos live in IndexedDB
+    authJournal: "yve_auth_journal" // Auth cache of journal_entries: {userId, entries: {same shape}, syncedAt}
   };
 
+  // Run state and history are kept per owner: Anonymous uses the plain key, each account
+  // its own suffixed copy, so a second account on this device never sees or imports
+  // another one's runs. Lists written before the split stay with Anonymous.
+  const OWNED_KEYS = new Set(["todayState", "challengeHistory", "bossHistory", "arenaHistory", "cycleHistory", "raidHistory"]);
+
+  function ownedKey(key) {
+    return isAuthActive() ? `${key}:${authUser.id}` : key;
+  }
+
+  function lsKey(name) {
+    return OWNED_KEYS.has(name) ? ownedKey(LS[name]) : LS[name];
+  }
+
+  const LOCAL_HISTORY_MAX = 500; // per list; stats read the whole list, screens show 10
+  const HISTORY_AWAY_MAX = 20; // stored episodes per history entry (a run logs up to AWAY_LOG_MAX)
+
   function loadJSON(key, fallback) {
     try {
       const raw = localStorage.getItem(key);
@@ -106,14 +188,46 @@
     }
   }
 
+  let storageFullShown = false;
+
+  function isQuotaError(e) {
+    return e && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED" || e.code === 22);
+  }
+
+  // Returns false when the write didn't happen; a full storage is shown once per session.
   function saveJSON(key, val) {
     try {
       localStorage.setItem(key, JSON.stringify(val));
+      return true;
     } catch (e) {
       console.warn("saveJSON failed", e);
+      if (isQuotaError(e) && !storageFullShown) {
+        storageFullShown = true;
+        toast("Storage full", "This browser’s storage for the app is full, so recent data wasn’t saved. Export a backup, then clear old history.", 8000);
+      }
+      return false;
     }
   }
 
+  // Ignored blips are dropped and the rest capped; awayEpisodes keeps the real count.
+  function compactHistoryEntry(entry) {
+    if (!Array.isArray(entry.away)) return entry;
+    const counted = entry.away.filter(e => e.outcome !== "ignored");
+    if (counted.length <= HISTORY_AWAY_MAX && counted.length === entry.away.length) return entry;
+    return { ...entry, away: counted.slice(-HISTORY_AWAY_MAX), awayEpisodes: counted.length };
+  }
+
+  function historyAwayCount(e) {
+    if (Number.isInteger(e.awayEpisodes)) return e.awayEpisodes;
+    return Array.isArray(e.away) ? awayCount(e.away) : null;
+  }
+
+  function pushHistory(key, entry) {
+    const list = loadJSON(key, []);
+    list.unshift(compactHistoryEntry(entry));
+    saveJSON(key, list.slice(0, LOCAL_HISTORY_MAX));
+  }
+
   // -----------------------------
   // DOM helpers
   // -----------------------------
@@ -125,12 +239,6 @@
     const el = $(id);
     if (el) el.classList.add("active");
     window.scrollTo({ top: 0, behavior: "smooth" });
-
-    // Presence: update mode when screen changes
-    if (id === "#screenHome") presenceSetMode("hub");
-    if (id === "#screenChallenge24") presenceSetMode("challenge24");
-    if (id === "#screenBossFight") presenceSetMode("bossFight");
-    if (id === "#screenFocusArena") presenceSetMode("focusArena");
   }
 
   // -----------------------------
@@ -158,21 +266,31 @@
   // Toasts + Modal
   // -----------------------------
   const toastWrap = $("#toastWrap");
-  function toast(title, body, ms = 2600) {
+  // action: {label, onClick} adds a button; ms = Infinity keeps the toast until it's used.
+  function toast(title, body, ms = 2600, action = null) {
     const el = document.createElement("div");
     el.className = "toast";
     el.innerHTML = `
       <div class="toast-title">${escapeHTML(title)}</div>
       <div class="toast-body">${escapeHTML(body)}</div>
-      <div class="row"><span class="mini">local-only</span><span class="mini">ok</span></div>
+      <div class="row"><span class="mini">local-only</span>${action
+        ? `<button class="btn primary toast-action" type="button">${escapeHTML(action.label)}</button>`
+        : `<span class="mini">ok</span>`}</div>
     `;
     toastWrap.appendChild(el);
-    setTimeout(() => {
+    const dismiss = () => {
       el.style.opacity = "0";
       el.style.transform = "translateY(6px)";
       el.style.transition = "opacity .18s ease, transform .18s ease";
       setTimeout(() => el.remove(), 220);
-    }, ms);
+    };
+    if (action) {
+      el.querySelector(".toast-action").addEventListener("click", () => {
+        dismiss();
+        action.onClick();
+      });
+    }
+    if (ms !== Infinity) setTimeout(dismiss, ms);
   }
 
   const modalBackdrop = $("#modalBackdrop");
@@ -241,6 +359,54 @@
     });
   }
 
+  // -----------------------------
+  // Offline app (service worker)
+  // -----------------------------
+  // sw.js serves the shell network-first, so deployed files arrive on the next
+  // load. A new worker itself waits: the toast asks first, never mid-run by surprise.
+  const SW_UPDATE_CHECK_MS = 60 * 60 * 1000; // long-lived tabs (a 24h challenge) check hourly
+
+  function initServiceWorker() {
+    if (!("serviceWorker" in navigator) || !/^https?:$/.test(location.protocol)) return;
+    let reloading = false;
+    let offered = false;
+
+    function offerUpdate(worker) {
+      if (offered) return;
+      offered = true;
+      const running = !!loadJSON(LS.activeRun, null) || Raid.phase === "fighting";
+      toast(
+        "Update available",
+        running ? "A new version is ready. Reloading pauses this run; you can resume it right after." : "A new version is ready.",
+        Infinity,
+        {
+          label: "Reload",
+          onClick: () => {
+            reloading = true;
+            worker.postMessage({ type: "skipWaiting" });
+          }
+        }
+      );
+    }
+
+    // Fires on the first install too (clients.claim): only reload when asked.
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (reloading) location.reload();
+    });
+
+    navigator.serviceWorker.register("./sw.js", { updateViaCache: "none" }).then(reg => {
+      if (reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          if (worker.state === "installed" && navigator.serviceWorker.controller) offerUpdate(worker);
+        });
+      });
+      setInterval(() => reg.update().catch(() => { /* offline: try again next time */ }), SW_UPDATE_CHECK_MS);
+    }).catch(e => console.warn("Service worker not registered", e));
+  }
+
   // -----------------------------
   // Supabase (Auth + DB)
   // -----------------------------
@@ -295,10 +461,16 @@
 
   async function signOut() {
     if (!supabase) return;
+    // Runs end while the account is still there to record them.
+    await leaveRuns();
+    if (Visibility.activeRule?.type === "challenge24") stopLeaveRule();
     try { await supabase.auth.signOut(); } catch { /* ignore */ }
     authUser = null;
     authProfile = null;
+    stopLiveCrowd();
+    Leaderboard.cache.clear();
     setUserMode("anon");
+    reconcileLocalStreak();
     updateAccountPill();
   }
 
@@ -309,40 +481,271 @@
     return getUserMode() === "auth" && !!authUser;
   }
 
-  async function dbUpsertDailyRun({ status, challengeId, startedAtISO, endedAtISO, failReason }) {
+  // PostgREST caps every response (max-rows, 1000 on Supabase), whatever .limit() asks
+  // for. Reads that need all of a user's rows page through in a stable order instead.
+  const DB_PAGE_ROWS = 1000;
+
+  async function selectAllRows(makeQuery) {
+    const rows = [];
+    for (let from = 0; ; from += DB_PAGE_ROWS) {
+      const { data, error } = await makeQuery().range(from, from + DB_PAGE_ROWS - 1);
+      if (error) return { data: null, error };
+      rows.push(...(data || []));
+      if (!data || data.length < DB_PAGE_ROWS) return { data: rows, error: null };
+    }
+  }
+
+  async function dbUpsertDailyRun({ status, challengeId, startedAtISO, endedAtISO, failReason, dayUtc, leaveRule, leaveRuleParams, awayLog }) {
     if (!isAuthActive() || !supabase) return;
     const payload = {
       user_id: authUser.id,
-      day_utc: utcDayKey(),
+      day_utc: dayUtc || userDayKey(),
       challenge_id: challengeId,
       status,
       started_at: startedAtISO || null,
       ended_at: endedAtISO || null,
-      fail_reason: failReason || null
+      fail_reason: failReason || null,
+      leave_rule: leaveRule || null,
+      leave_rule_params: runLeaveRuleParams(leaveRule, leaveRuleParams),
+      away_log: awayLog || null
     };
 
-    const { error } = await supabase
-      .from("daily_runs")
-      .upsert(payload, { onConflict: "user_id,day_utc" });
-
-    if (error) console.warn("daily_runs upsert failed", error);
+    outboxEnqueue({
+      key: `daily_runs:${payload.user_id}:${payload.day_utc}`,
+      table: "daily_runs",
+      payload,
+      onConflict: "user_id,day_utc"
+    });
+    await outboxFlush();
   }
 
-  async function dbInsertSession({ mode, taskName, durationMinutes, status, startedAtISO, endedAtISO }) {
+  // Upserts on client_run_id, so a replayed or repeated write for the same
+  // run (stopped → failed) never produces a second row.
+  async function dbInsertSession({ mode, runId, taskName, durationMinutes, status, startedAtISO, endedAtISO, dayUtc, leaveRule, leaveRuleParams, awayLog, heals, cycleId, cycleRound, cycleRounds, raidCode, raidSize, raidDamage, bossName }) {
     if (!isAuthActive() || !supabase) return;
     const payload = {
       user_id: authUser.id,
+      client_run_id: runId || newRunId(),
       mode,
       task_name: taskName || null,
       duration_minutes: durationMinutes,
       status,
       started_at: startedAtISO || new Date().toISOString(),
       ended_at: endedAtISO || new Date().toISOString(),
-      day_utc: utcDayKey()
+      day_utc: dayUtc || userDayKey(),
+      leave_rule: leaveRule || null,
+      leave_rule_params: runLeaveRuleParams(leaveRule, leaveRuleParams),
+      away_log: awayLog || null,
+      heals: mode === "bossFight" || mode === "bossRaid" ? heals || 0 : null,
+      cycle_id: cycleId || null,
+      cycle_round: cycleId ? cycleRound : null,
+      cycle_rounds: cycleId ? cycleRounds : null,
+      raid_code: raidCode || null,
+      raid_size: raidCode ? raidSize : null,
+      raid_damage: raidCode ? raidDamage : null,
+      boss_name: mode === "bossFight" ? bossName || null : null
+    };
+
+    outboxEnqueue({
+      key: `sessions:${payload.client_run_id}`,
+      table: "sessions",
+      payload,
+      onConflict: "client_run_id"
+    });
+    await outboxFlush();
+  }
+
+  async function dbUpsertTask(t) {
+    if (!isAuthActive() || !supabase) return;
+    const payload = {
+      id: t.id,
+      user_id: authUser.id,
+      name: t.name,
+      position: t.position,
+      status: t.status,
+      created_at: t.createdAt,
+      updated_at: t.updatedAt,
+      done_at: t.doneAt || null
+    };
+
+    outboxEnqueue({ key: `tasks:${t.id}`, table: "tasks", payload, onConflict: "id" });
+    await outboxFlush();
+  }
+
+  async function dbUpsertJournalEntry(e) {
+    if (!isAuthActive() || !supabase) return;
+    const payload = {
+      user_id: authUser.id,
+      day_utc: e.dayKey,
+      challenge_id: e.challengeId,
+      note: e.note || null,
+      on_card: !!e.onCard,
+      photo_path: e.photoPath || null,
+      updated_at: e.updatedAt
     };
 
-    const { error } = await supabase.from("sessions").insert(payload);
-    if (error) console.warn("sessions insert failed", error);
+    outboxEnqueue({ key: `journal_entries:${payload.user_id}:${payload.day_utc}`, table: "journal_entries", payload, onConflict: "user_id,day_utc" });
+    await outboxFlush();
+  }
+
+  // -----------------------------
+  // Outbox: durable write queue (Auth mode only)
+  // -----------------------------
+  // Every DB write goes through here. Entries survive reloads, retry with
+  // backoff and replay when the browser comes back online. A newer write
+  // with the same key replaces the pending one (latest state wins).
+  const OUTBOX_BASE_BACKOFF_MS = 2000;
+  const OUTBOX_MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+  const Outbox = {
+    flushing: false,
+    again: false,
+    timer: null
+  };
+
+  function newRunId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  function outboxLoad() {
+    const list = loadJSON(LS.outbox, []);
+    return Array.isArray(list) ? list : [];
+  }
+
+  function outboxSave(list) {
+    saveJSON(LS.outbox, list);
+    renderSyncBadge();
+  }
+
+  // userId: whose session may replay the entry (profiles rows carry it as `id`).
+  function outboxEnqueue({ key, table, payload, onConflict, userId = payload.user_id }) {
+    const list = outboxLoad().filter(e => e.key !== key);
+    list.push({ id: newRunId(), key, table, payload, onConflict, userId, attempts: 0, nextAt: 0, createdAt: Date.now() });
+    outboxSave(list);
+  }
+
+  function outboxPendingFor(userId, { includePresence = true } = {}) {
+    return outboxLoad().filter(e =>
+      e.payload && (e.userId || e.payload.user_id) === userId && (includePresence || e.table !== "presence")
+    );
+  }
+
+  // How a failed write is handled:
+  // - 'drop': the row can never be written as is (a duplicate of another row's unique value).
+  // - 'stuck': bad data (22xxx), other constraints (23xxx), schema/RLS/permission (42xxx,
+  //   e.g. a missing unique constraint or policy). Replaying won't help until the data or
+  //   the database is fixed, so it stops retrying but stays queued until the user discards it.
+  // - 'retry': network, timeouts, server errors.
+  const OUTBOX_DROP_CODES = new Set(["23505"]);
+
+  function classifyDbError(error) {
+    const code = String(error?.code || "");
+    if (OUTBOX_DROP_CODES.has(code)) return "drop";
+    if (/^(22|23|42)/.test(code)) return "stuck";
+    return "retry";
+  }
+
+  const OUTBOX_TABLE_LABELS = {
+    daily_runs: "A challenge result",
+    sessions: "A session result",
+    tasks: "A backlog task",
+    profiles: "Your profile",
+    journal_entries: "A journal entry"
+  };
+
+  function outboxSettle(entry, error) {
+    const list = outboxLoad();
+    const i = list.findIndex(e => e.id === entry.id);
+    if (i < 0) return; // replaced by a newer write meanwhile
+
+    const kind = error ? classifyDbError(error) : null;
+    const label = OUTBOX_TABLE_LABELS[entry.table] || `A ${entry.table} write`;
+    if (!error) {
+      list.splice(i, 1);
+    } else if (kind === "drop") {
+      console.warn(`${entry.table} write dropped`, error);
+      list.splice(i, 1);
+      toast("Not saved", `${label} was rejected by the database: ${error.message || error.code}.`, 6000);
+    } else if (kind === "stuck") {
+      console.warn(`${entry.table} write stuck`, error);
+      const first = !list[i].stuck;
+      Object.assign(list[i], { stuck: true, attempts: list[i].attempts + 1, lastError: `${error.code}: ${error.message || ""}`.trim() });
+      if (first && entry.table !== "presence") {
+        toast("Sync problem", `${label} can't be saved (${error.code}). It stays queued; see the account menu.`, 6000);
+      }
+    } else {
+      const e = list[i];
+      e.attempts += 1;
+      const backoff = Math.min(OUTBOX_MAX_BACKOFF_MS, OUTBOX_BASE_BACKOFF_MS * 2 ** (e.attempts - 1));
+      e.nextAt = Date.now() + backoff * (0.8 + Math.random() * 0.4);
+      console.warn(`${entry.table} write failed (attempt ${e.attempts}), will retry`, error);
+    }
+    outboxSave(list);
+  }
+
+  async function outboxFlush() {
+    if (!isAuthActive() || !supabase) return;
+    if (Outbox.flushing) {
+      Outbox.again = true;
+      return;
+    }
+
+    Outbox.flushing = true;
+    try {
+      const now = Date.now();
+      const due = outboxPendingFor(authUser.id).filter(e => !e.stuck && e.nextAt <= now);
+      for (const e of due) {
+        if (navigator.onLine === false) break;
+        let error = null;
+        try {
+          ({ error } = await supabase.from(e.table).upsert(e.payload, { onConflict: e.onConflict }));
+        } catch (err) {
+          error = err;
+        }
+        outboxSettle(e, error);
+      }
+    } finally {
+      Outbox.flushing = false;
+    }
+
+    if (Outbox.again) {
+      Outbox.again = false;
+      return outboxFlush();
+    }
+    outboxSchedule();
+  }
+
+  function outboxSchedule() {
+    if (Outbox.timer) clearTimeout(Outbox.timer);
+    Outbox.timer = null;
+    if (!isAuthActive()) return;
+
+    const pending = outboxPendingFor(authUser.id).filter(e => !e.stuck);
+    if (!pending.length) return;
+    const nextAt = Math.min(...pending.map(e => e.nextAt));
+    Outbox.timer = setTimeout(outboxFlush, Math.max(0, nextAt - Date.now()));
+  }
+
+  // Stuck writes get one more try per login, and when the user asks.
+  function outboxRetryStuck() {
+    const list = outboxLoad();
+    list.forEach(e => { if (e.stuck) Object.assign(e, { stuck: false, nextAt: 0 }); });
+    outboxSave(list);
+    return outboxFlush();
+  }
+
+  function outboxDiscardStuck(userId) {
+    outboxSave(outboxLoad().filter(e => !(e.stuck && (e.userId || e.payload.user_id) === userId)));
+  }
+
+  function initOutbox() {
+    window.addEventListener("online", () => {
+      const list = outboxLoad();
+      list.forEach(e => { e.nextAt = 0; });
+      outboxSave(list);
+      outboxFlush();
+    });
   }
 
   // -----------------------------
@@ -371,11 +774,13 @@
       circle_style_snapshot: circleStyle
     };
 
-    const { error } = await supabase
-      .from("presence")
-      .upsert(payload, { onConflict: "user_id" });
-
-    if (error) console.warn("presence upsert failed", error);
+    outboxEnqueue({
+      key: `presence:${payload.user_id}`,
+      table: "presence",
+      payload,
+      onConflict: "user_id"
+    });
+    await outboxFlush();
   }
 
   function startPresenceLoop() {
@@ -388,6 +793,80 @@
     });
   }
 
+  // -----------------------------
+  // Live crowd from presence (Auth mode only)
+  // -----------------------------
+  // Heartbeat runs every 30s; a row older than this is no longer "right now".
+  const PRESENCE_RECENT_MS = 2 * 60 * 1000;
+
+  const Crowd = {
+    source: "simulated", // 'simulated' | 'live'
+    rows: new Map(),     // user_id -> {mode, day_utc, last_seen_at}
+    channel: null,
+    refreshTimer: null
+  };
+
+  async function crowdFetch() {
+    if (!isAuthActive() || !supabase) return false;
+
+    const { data, error } = await supabase
+      .from("presence")
+      .select("user_id, mode, day_utc, last_seen_at")
+      .eq("day_utc", utcDayKey());
+
+    if (error) {
+      console.warn("presence select failed", error);
+      Crowd.source = "simulated";
+      renderCrowd();
+      return false;
+    }
+
+    Crowd.rows = new Map((data || []).map(r => [r.user_id, r]));
+    Crowd.source = "live";
+    renderCrowd();
+    return true;
+  }
+
+  function crowdLiveCounts() {
+    const today = utcDayKey();
+    const cutoff = Date.now() - PRESENCE_RECENT_MS;
+    const counts = { today: 0, hub: 0, challenge24: 0, bossFight: 0, focusArena: 0 };
+
+    Crowd.rows.forEach(r => {
+      if (r.day_utc !== today) return;
+      counts.today += 1;
+      if (Date.parse(r.last_seen_at) >= cutoff && r.mode in counts) counts[r.mode] += 1;
+    });
+    return counts;
+  }
+
+  async function startLiveCrowd() {
+    stopLiveCrowd();
+    if (!(await crowdFetch())) return;
+
+    Crowd.channel = supabase
+      .channel("yve-presence")
+      .on("postgres_changes", { event: "*", schema: "public", table: "presence" }, (payload) => {
+        if (payload.eventType === "DELETE") Crowd.rows.delete(payload.old?.user_id);
+        else if (payload.new?.user_id) Crowd.rows.set(payload.new.user_id, payload.new);
+        renderCrowd();
+      })
+      .subscribe();
+
+    // Realtime only pushes changes; a periodic refetch expires stale rows
+    // and recovers from a dropped channel.
+    Crowd.refreshTimer = setInterval(crowdFetch, 60000);
+  }
+
+  function stopLiveCrowd() {
+    if (Crowd.refreshTimer) clearInterval(Crowd.refreshTimer);
+    Crowd.refreshTimer = null;
+    if (Crowd.channel && supabase) supabase.removeChannel(Crowd.channel);
+    Crowd.channel = null;
+    Crowd.rows = new Map();
+    Crowd.source = "simulated";
+  }
+
   // -----------------------------
   // Entry gate + Auth modals
   // -----------------------------
@@ -405,6 +884,7 @@
           variant: "ghost",
           onClick: () => {
             setUserMode("anon");
+            reconcileLocalStreak();
             closeModalForce();
             updateAccountPill();
             renderHub();
@@ -532,15 +1012,36 @@
       return;
     }
 
-    authProfile = data;
+    authProfile = { ...data, streak_freezes: await loadStreakFreezes(user.id) };
     updateAccountPill();
+    await reconcileStreakForNewDay();
 
     // Start presence updates
     presenceSetMode(presenceMode);
     startPresenceLoop();
+    startLiveCrowd();
+    outboxRetryStuck();
+    syncTasksFromDb();
+    syncJournalFromDb();
 
     closeModalForce();
     renderHub();
+    offerAnonImport();
+  }
+
+  // Separate from the profile read: a project without the streak_freezes column
+  // still logs in, just without freezes.
+  async function loadStreakFreezes(userId) {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select("streak_freezes")
+      .eq("id", userId)
+      .maybeSingle();
+    if (error) {
+      console.warn("streak_freezes select failed", error);
+      return 0;
+    }
+    return data?.streak_freezes || 0;
   }
 
   function openProfileModal(user) {
@@ -628,7 +1129,13 @@
         return setProfileError(error.message);
       }
 
-      authProfile = { id: user.id, display_name: name, circle_style: circleStyle, plan: "free" };
+      authProfile = {
+        id: user.id,
+        display_name: name,
+        circle_style: circleStyle,
+        plan: authProfile?.plan || "free",
+        streak_freezes: authProfile?.streak_freezes || 0
+      };
       updateAccountPill();
       toast("Saved", "Profile updated.");
 
@@ -637,7 +1144,197 @@
 
       // Also update presence snapshot
       presenceHeartbeat();
+      offerAnonImport();
+    }
+  }
+
+  // -----------------------------
+  // Anonymous history → account (one-time import)
+  // -----------------------------
+  const RUN_STATUS_RANK = { in_progress: 1, failed: 2, completed: 3 };
+
+  function collectAnonHistory() {
+    // Only days that were actually recorded, and only finished ones: an unfinished
+    // challenge would land in the account without a leave rule watching it.
+    const runs = new Map(); // day_utc -> daily_runs fields
+    Object.entries(loadJSON(LS.challengeHistory, {})).forEach(([day, status]) => {
+      if (!isDayKey(day) || (status !== "completed" && status !== "failed")) return;
+      runs.set(day, { day_utc: day, status, challenge_id: getChallengeForDay(day).id });
+    });
+
+    const st = loadJSON(LS.todayState, null);
+    if (st && isDayKey(st.dayKey) && (st.state === "completed" || st.state === "failed")) {
+      runs.set(st.dayKey, {
+        day_utc: st.dayKey,
+        status: st.state,
+        challenge_id: st.challengeId,
+        started_at: st.startedAt ? new Date(st.startedAt).toISOString() : null,
+        ended_at: st.resultAt ? new Date(st.resultAt).toISOString() : null,
+        leave_rule: st.rule || null,
+        away_log: st.awayLog || null
+      });
+    }
+
+    const sessions = [];
+    loadJSON(LS.bossHistory, []).forEach(e => {
+      sessions.push({ mode: "bossFight", status: e.result || "cleared", task: e.task, boss: e.boss, minutes: e.minutes, dayKey: e.dayKey, ts: e.ts, rule: e.rule, away: e.away, awayEpisodes: e.awayEpisodes, heals: e.heals });
+    });
+    loadJSON(LS.arenaHistory, []).forEach(e => {
+      sessions.push({ mode: "focusArena", status: e.result, task: null, minutes: e.minutes, dayKey: e.dayKey, ts: e.ts, rule: e.rule, away: e.away, awayEpisodes: e.awayEpisodes });
+    });
+    loadJSON(LS.cycleHistory, []).forEach(e => {
+      sessions.push({ mode: "focusCycle", status: e.result, task: null, minutes: e.rounds * e.minutes, dayKey: e.dayKey, ts: e.ts, rule: e.rule });
+    });
+
+    const journal = Object.values(loadJSON(LS.journal, {})).filter(e => isValidJournalEntry(e) && (e.note || e.photo));
+
+    return { runs: Array.from(runs.values()), sessions, journal };
+  }
+
+  function isAnonImportDone(userId) {
+    return !!loadJSON(LS.anonImported, {})[userId];
+  }
+
+  function markAnonImportDone(userId) {
+    const done = loadJSON(LS.anonImported, {});
+    done[userId] = new Date().toISOString();
+    saveJSON(LS.anonImported, done);
+  }
+
+  // One line per mode collectAnonHistory imports, counted from the rows it will insert.
+  const ANON_IMPORT_SESSION_LABELS = { bossFight: "Boss fights", focusArena: "Arena sessions", focusCycle: "Arena cycles" };
+
+  async function offerAnonImport() {
+    if (!isAuthActive() || !supabase || isAnonImportDone(authUser.id)) return;
+
+    const local = collectAnonHistory();
+    if (!local.runs.length && !local.sessions.length && !local.journal.length) {
+      markAnonImportDone(authUser.id);
+      return;
+    }
+
+    const days = local.runs.map(r => r.day_utc);
+    let existing = [];
+    if (days.length) {
+      const { data, error } = await supabase
+        .from("daily_runs")
+        .select("day_utc, status")
+        .eq("user_id", authUser.id)
+        .in("day_utc", days);
+      if (error) {
+        console.warn("daily_runs select failed", error);
+        return; // offer again next login
+      }
+      existing = data || [];
+    }
+
+    // Don't stack on top of the entry gate / resume prompt.
+    if (!modalBackdrop.hidden) return;
+
+    const inDb = new Map(existing.map(r => [r.day_utc, r.status]));
+    const conflicts = local.runs.filter(r => inDb.has(r.day_utc));
+    const conflictRows = conflicts.slice(0, 5).map(r => `
+      <div class="share-line"><span class="mono">${escapeHTML(r.day_utc)}</span>
+        <span>device <b>${escapeHTML(stateLabel(r.status))}</b> • account <b>${escapeHTML(stateLabel(inDb.get(r.day_utc)))}</b></span></div>
+    `).join("");
+
+    openModal({
+      title: "Bring your anonymous history?",
+      locked: true,
+      body: `
+        <p>This device has runs from Anonymous mode. Import them into your account once:</p>
+        <div class="share-card">
+          <div class="share-body">
+            <div class="share-line"><span class="muted">24h Challenge days</span> <b>${local.runs.length}</b></div>
+            ${Object.entries(ANON_IMPORT_SESSION_LABELS).map(([mode, label]) => `
+              <div class="share-line"><span class="muted">${label}</span> <b>${local.sessions.filter(x => x.mode === mode).length}</b></div>
+            `).join("")}
+            <div class="share-line"><span class="muted">Journal days</span> <b>${local.journal.length}</b></div>
+          </div>
+        </div>
+        ${conflicts.length ? `
+          <p style="margin-top:10px"><b>${conflicts.length} day${conflicts.length === 1 ? "" : "s"} already in your account.</b></p>
+          <div class="share-body">${conflictRows}</div>
+          <div class="seg" id="importRuleSeg">
+            <button class="seg-btn active" type="button" data-rule="account">Keep account data</button>
+            <button class="seg-btn" type="button" data-rule="better">Keep the better result</button>
+          </div>
+        ` : ""}
+        <p class="muted" style="margin-top:10px">Local data stays on this device either way. Skipping won’t ask again.</p>
+      `,
+      actions: [
+        {
+          label: "Skip",
+          variant: "ghost",
+          onClick: () => {
+            markAnonImportDone(authUser.id);
+            closeModalForce();
+          }
+        },
+        {
+          label: "Import",
+          variant: "primary",
+          onClick: async () => {
+            const ruleBtn = $("#importRuleSeg .seg-btn.active");
+            const rule = ruleBtn ? ruleBtn.getAttribute("data-rule") : "account";
+            closeModalForce();
+            await importAnonHistory(local, inDb, rule);
+          }
+        }
+      ]
+    });
+
+    $$("#importRuleSeg .seg-btn").forEach(btn => {
+      btn.addEventListener("click", () => {
+        $$("#importRuleSeg .seg-btn").forEach(b => b.classList.remove("active"));
+        btn.classList.add("active");
+      });
+    });
+  }
+
+  async function importAnonHistory(local, inDb, rule) {
+    // Conflict rule: "account" never touches an existing day; "better" replaces
+    // it only when the device result ranks higher (completed > failed > in progress).
+    const runs = local.runs.filter(r => {
+      if (!inDb.has(r.day_utc)) return true;
+      if (rule !== "better") return false;
+      return (RUN_STATUS_RANK[r.status] || 0) > (RUN_STATUS_RANK[inDb.get(r.day_utc)] || 0);
+    });
+
+    for (const r of runs) {
+      await dbUpsertDailyRun({
+        status: r.status,
+        challengeId: r.challenge_id,
+        startedAtISO: r.started_at,
+        endedAtISO: r.ended_at,
+        dayUtc: r.day_utc,
+        leaveRule: r.leave_rule,
+        awayLog: r.away_log
+      });
+    }
+
+    // Sessions are additive; a deterministic run id keeps a re-import idempotent.
+    for (const e of local.sessions) {
+      await dbInsertSession({
+        mode: e.mode,
+        runId: `anon:${e.mode}:${e.ts}`,
+        taskName: e.task,
+        durationMinutes: e.minutes,
+        status: e.status,
+        startedAtISO: new Date(e.ts - minutesToMs(e.minutes)).toISOString(),
+        endedAtISO: new Date(e.ts).toISOString(),
+        dayUtc: e.dayKey,
+        leaveRule: e.rule,
+        awayLog: e.away,
+        heals: e.heals,
+        bossName: e.boss
+      });
     }
+    await mergeTasksIntoAccount(loadJSON(LS.tasks, []));
+    const notes = await mergeJournalIntoAccount(local.journal, { anonPhotos: true });
+
+    markAnonImportDone(authUser.id);
+    toast("Imported", `${runs.length} day${runs.length === 1 ? "" : "s"} + ${local.sessions.length} session${local.sessions.length === 1 ? "" : "s"} + ${notes} journal entr${notes === 1 ? "y" : "ies"} added to your account.`);
   }
 
   async function ensureEntryGate() {
@@ -675,6 +1372,8 @@
     const dot = $("#accountDot");
     if (!label || !dot) return;
 
+    renderSyncBadge();
+
     const mode = getUserMode();
     if (mode === "auth" && authUser) {
       label.textContent = authProfile?.display_name || "Account";
@@ -688,19 +1387,41 @@
     dot.style.opacity = "0.7";
   }
 
+  function renderSyncBadge() {
+    const badge = $("#syncBadge");
+    if (!badge) return;
+    const pending = isAuthActive() ? outboxPendingFor(authUser.id, { includePresence: false }) : [];
+    const n = pending.length;
+    const stuck = pending.filter(e => e.stuck).length;
+    badge.hidden = n === 0;
+    badge.textContent = String(n);
+    badge.classList.toggle("bad", stuck > 0);
+    badge.title = stuck ? `${stuck} of ${n} result${n === 1 ? "" : "s"} can't sync` : `${n} result${n === 1 ? "" : "s"} waiting to sync`;
+  }
+
   function openAccountMenu() {
     const mode = getUserMode();
 
     if (mode === "auth" && authUser) {
       const name = authProfile?.display_name || "Account";
+      const queued = outboxPendingFor(authUser.id, { includePresence: false });
+      const pending = queued.length;
+      const stuck = queued.filter(e => e.stuck);
       openModal({
         title: name,
         locked: false,
         body: `
           <p class="muted">Logged in. Your runs will be stored in your database.</p>
+          ${pending ? `<p><b>${pending} result${pending === 1 ? "" : "s"} waiting to sync.</b> They retry automatically and replay when you are back online.</p>` : ""}
+          ${stuck.length ? `<p><b>${stuck.length} can't sync</b>: the database rejects ${stuck.length === 1 ? "it" : "them"} (${escapeHTML(stuck[0].lastError || "error")}). They're kept until you retry or discard them.</p>` : ""}
         `,
         actions: [
+          ...(stuck.length ? [
+            { label: "Retry now", variant: "ghost", onClick: () => { closeModal(); outboxRetryStuck(); } },
+            { label: "Discard stuck", variant: "danger", onClick: () => { outboxDiscardStuck(authUser.id); closeModal(); toast("Sync", "Stuck writes discarded."); } }
+          ] : []),
           { label: "Profile", variant: "ghost", onClick: () => openProfileModal(authUser) },
+          { label: "Settings", variant: "ghost", onClick: () => openSettingsModal() },
           {
             label: "Log out",
             variant: "ghost",
@@ -722,6 +1443,7 @@
       locked: false,
       body: `<p class="muted">Simulated crowd. Everything stays on this device.</p>`,
       actions: [
+        { label: "Settings", variant: "ghost", onClick: () => openSettingsModal() },
         { label: "Log in / Register", variant: "primary", onClick: () => openAuthModal({ mode: "login" }) },
         { label: "Close", variant: "ghost", onClick: () => closeModal() }
       ]
@@ -729,47 +1451,730 @@
   }
 
   // -----------------------------
-  // Challenge list (daily shared)
+  // Settings
   // -----------------------------
-  const DAILY_CHALLENGES = [
-    { title: "Two-Minute Start", desc: "Do 2 minutes of the thing you’re avoiding. Stop after 2 minutes if you want. (You won’t.)" },
-    { title: "Inbox Guillotine", desc: "Clear 10 emails/messages. Archive, delete, reply. No perfection, just motion." },
-    { title: "Desk Reset", desc: "Make your workspace look like a person lives there. 5 items back where they belong." },
-    { title: "One Ugly Draft", desc: "Create the worst first draft possible. Minimum 150 words / 10 lines. Pride stays outside." },
-    { title: "Phone Exile", desc: "Put the phone away for 25 minutes. If you reach for it, you restart the timer in your head." },
-    { title: "Micro-Workout", desc: "Do 30 squats or a 3-minute walk. Not fitness. Momentum." },
-    { title: "File Graveyard", desc: "Delete or organize 20 files/screenshots. Your future self is watching." },
-    { title: "The 1-Task List", desc: "Write exactly one task for today. Then do the first 5 minutes of it." },
-    { title: "Noise Cut", desc: "Close 5 tabs/apps you don’t need. Yes, even that one. Especially that one." },
-    { title: "Tomorrow Trap", desc: "Schedule one specific action for tomorrow (time + place). Then do 1 minute of prep now." },
-    { title: "No-Zero Move", desc: "Do any non-zero progress: one paragraph, one slide, one commit, one call." },
-    { title: "The Hard Part First", desc: "Do the hardest 5 minutes first. You don’t have to finish. You do have to start." }
-  ];
+  function openSettingsModal() {
+    const tz = (window.Intl && Intl.DateTimeFormat().resolvedOptions().timeZone) || "device time";
+    const boundary = isLocalDayBoundary() ? "local" : "utc";
+    const alerts = getAlertSettings();
+    const alertSeg = (items) => items.map(({ key, label }) => `
+      <button class="seg-btn${alerts[key] ? " active" : ""}" type="button" data-alert="${key}" aria-pressed="${alerts[key]}">${escapeHTML(label)}</button>
+    `).join("");
+    const notifyNote = !notificationsSupported() ? " Notifications aren’t supported in this browser."
+      : alerts.notify && Notification.permission === "denied" ? " Notifications are blocked for this site." : "";
 
-  function getTodaysChallenge() {
-    const seed = todaySeed("challenge");
-    const rnd = mulberry32(seed);
-    const idx = Math.floor(rnd() * DAILY_CHALLENGES.length);
-    const c = DAILY_CHALLENGES[idx];
-    return { ...c, id: idx };
-  }
+    openModal({
+      title: "Settings",
+      body: `
+        <div class="field" style="margin-top:0">
+          <span class="field-label">Day boundary</span>
+          <div class="seg" id="dayBoundarySeg" style="margin-top:0">
+            <button class="seg-btn${boundary === "utc" ? " active" : ""}" type="button" data-boundary="utc">UTC midnight</button>
+            <button class="seg-btn${boundary === "local" ? " active" : ""}" type="button" data-boundary="local">Local midnight (${escapeHTML(tz)})</button>
+          </div>
+          <div class="hint">When your day — challenge, streak, reset countdown — rolls over. Everyone still gets the same challenge for the same date. Locked while today’s challenge is started or done.</div>
+        </div>
+        <div class="field">
+          <span class="field-label">Leave rule strictness</span>
+          ${LEAVE_RULE_MODES.map(({ mode, label }) => `
+            <div class="muted" style="margin-top:8px">${escapeHTML(label)}</div>
+            <div class="seg" data-rule-mode="${mode}" style="margin-top:4px">
+              ${Object.values(LEAVE_RULE_PRESETS).map(p => `
+                <button class="seg-btn${getLeaveRule(mode).id === p.id ? " active" : ""}" type="button" data-rule="${p.id}">${escapeHTML(p.label)}</button>
+              `).join("")}
+            </div>
+            <div class="hint">${escapeHTML(describeLeaveRule(getLeaveRule(mode)))}</div>
+          `).join("")}
+          <div class="hint">Applies from the next run. Each result records the rule it was played under.</div>
+        </div>
+        <div class="field">
+          <span class="field-label">Alerts</span>
+          <div class="seg" style="margin-top:0">${alertSeg(ALERT_EVENTS)}</div>
+          <div class="seg" style="margin-top:8px">${alertSeg(ALERT_CHANNELS)}</div>
+          <div class="hint">Timed runs: when the timer ends, at the halfway mark, and ${AWAY_WARN_LEAD_MS / 1000}s before being away breaks the leave rule. Notifications and title flashing only fire while you’re in another tab or app.${escapeHTML(notifyNote)}</div>
+        </div>
+        <div class="field">
+          <span class="field-label">Your data</span>
+          <div class="panel-actions" style="margin-top:0">
+            <button class="btn" type="button" id="exportJsonBtn">Export backup (JSON)</button>
+            <button class="btn" type="button" id="exportCsvBtn">Export sessions (CSV)</button>
+            <button class="btn" type="button" id="importJsonBtn">Import backup…</button>
+            <input type="file" id="importJsonFile" accept="application/json,.json" hidden />
+          </div>
+          <div class="hint">${isAuthActive() ? "Includes your account’s runs and sessions." : "Everything on this device."} Import merges: nothing already here is duplicated or overwritten with a worse result.</div>
+        </div>
+      `,
+      actions: [{ label: "Done", variant: "primary", onClick: () => closeModal() }]
+    });
 
-  // -----------------------------
-  // Simulated crowd count (stable per UTC day)
-  // -----------------------------
-  function getTodaysCrowdNumber() {
-    const seed = todaySeed("crowd");
-    const rnd = mulberry32(seed);
-    const base = 8000 + Math.floor(rnd() * 24000);
-    const wiggle = Math.floor(rnd() * 1800);
-    const n = base + wiggle;
-    return n.toLocaleString();
-  }
+    $$("#dayBoundarySeg .seg-btn").forEach(btn => {
+      btn.addEventListener("click", () => {
+        const next = btn.getAttribute("data-boundary");
+        if (next === boundary) return;
+        // A switch mid-day could move today's date under a run already recorded.
+        if (getTodayChallengeState().state !== "not_started") {
+          toast("Settings", "Today’s challenge is already started or done. Change the day boundary tomorrow.");
+          return;
+        }
+        setDayBoundary(next);
+        openSettingsModal();
+      });
+    });
 
-  // -----------------------------
-  // Streak + daily rollover (UTC)
-  // -----------------------------
+    $$("[data-rule-mode] .seg-btn").forEach(btn => {
+      btn.addEventListener("click", () => {
+        const mode = btn.closest("[data-rule-mode]").getAttribute("data-rule-mode");
+        setLeaveRule(mode, btn.getAttribute("data-rule"));
+        renderLeaveRuleHints();
+        openSettingsModal();
+      });
+    });
+
+    $$("[data-alert]").forEach(btn => {
+      btn.addEventListener("click", async () => {
+        const key = btn.getAttribute("data-alert");
+        const on = !getAlertSettings()[key];
+        if (on && key === "notify" && !(await requestNotificationPermission())) return openSettingsModal();
+        setAlertSetting(key, on);
+        if (on && key === "sound") {
+          primeAlertAudio();
+          playAlertTone("halfway");
+        }
+        openSettingsModal();
+      });
+    });
+
+    $("#exportJsonBtn").addEventListener("click", () => exportBackup("json"));
+    $("#exportCsvBtn").addEventListener("click", () => exportBackup("csv"));
+    $("#importJsonBtn").addEventListener("click", () => $("#importJsonFile").click());
+    $("#importJsonFile").addEventListener("change", async (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (!file) return;
+      closeModal();
+      await importBackupFile(file);
+    });
+  }
+
+  function setDayBoundary(mode) {
+    localStorage.setItem(LS.dayBoundary, mode === "local" ? "local" : "utc");
+    reconcileStreakForNewDay();
+    renderHub();
+    if ($("#screenChallenge24").classList.contains("active")) renderChallenge24();
+    toast("Day boundary", mode === "local" ? "Your day now resets at local midnight." : "Your day now resets at UTC midnight.");
+  }
+
+  // -----------------------------
+  // Backup: export / import
+  // -----------------------------
+  // Format: {format: "yve-backup", version, exportedAt, local: {<LS name>: value}, account: {userId, profile, daily_runs, sessions, tasks, journal_entries} | null}
+  // Journal photos stay in IndexedDB / the storage bucket; entries keep only the note and the bucket path.
+  // Transient keys (active run, outbox, caches, user mode) are never exported.
+  const BACKUP_FORMAT = "yve-backup";
+  const BACKUP_VERSION = 1;
+  const BACKUP_KEYS = {
+    theme: "string",
+    dayBoundary: "string",
+    leaveRules: "object",
+    alerts: "object",
+    shareFormat: "string",
+    shareTemplate: "string",
+    streak: "int",
+    lastStreakDay: "day",
+    todayState: "object",
+    challengeHistory: "object",
+    bossHistory: "array",
+    arenaHistory: "array",
+    cycleHistory: "array",
+    raidHistory: "array",
+    tasks: "array",
+    arenaBadges: "int",
+    freezes: "int",
+    freezeHistory: "array",
+    journal: "object"
+  };
+  const SESSIONS_CSV_COLUMNS = [
+    "source", "mode", "day", "status", "minutes", "task", "boss", "heals",
+    "leave_rule", "away_episodes", "started_at", "ended_at", "run_id"
+  ];
+
+  const isDayKey = (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v);
+
+  function readBackupKey(name) {
+    const key = lsKey(name);
+    const type = BACKUP_KEYS[name];
+    if (type === "int") {
+      const raw = localStorage.getItem(key);
+      return raw === null ? null : parseInt(raw, 10);
+    }
+    if (type === "string" || type === "day") return localStorage.getItem(key);
+    return loadJSON(key, null);
+  }
+
+  function writeBackupKey(name, value) {
+    const type = BACKUP_KEYS[name];
+    if (type === "int" || type === "string" || type === "day") localStorage.setItem(lsKey(name), String(value));
+    else saveJSON(lsKey(name), value);
+  }
+
+  async function fetchAccountBackup() {
+    const [profile, runs, sessions, tasks, journal] = await Promise.all([
+      supabase.from("profiles").select("*").eq("id", authUser.id).maybeSingle(),
+      selectAllRows(() => supabase.from("daily_runs").select("*").eq("user_id", authUser.id).order("day_utc", { ascending: true })),
+      selectAllRows(() => supabase.from("sessions").select("*").eq("user_id", authUser.id).order("started_at", { ascending: true }).order("client_run_id")),
+      selectAllRows(() => supabase.from("tasks").select("*").eq("user_id", authUser.id).order("position", { ascending: true }).order("id")),
+      selectAllRows(() => supabase.from("journal_entries").select("*").eq("user_id", authUser.id).order("day_utc", { ascending: true }))
+    ]);
+    const error = profile.error || runs.error || sessions.error || tasks.error || journal.error;
+    if (error) throw error;
+    return {
+      userId: authUser.id,
+      profile: profile.data || null,
+      daily_runs: runs.data || [],
+      sessions: sessions.data || [],
+      tasks: tasks.data || [],
+      journal_entries: journal.data || []
+    };
+  }
+
+  async function buildBackup() {
+    const local = {};
+    Object.keys(BACKUP_KEYS).forEach(name => {
+      const v = readBackupKey(name);
+      if (v !== null && v !== undefined) local[name] = v;
+    });
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      local,
+      account: isAuthActive() && supabase ? await fetchAccountBackup() : null
+    };
+  }
+
+  function csvCell(v) {
+    if (v === null || v === undefined) return "";
+    const s = String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  // Auth: the account's sessions are the record. Anonymous: this device's history.
+  function sessionsCsvRows(backup) {
+    if (backup.account) {
+      return backup.account.sessions.map(r => ({
+        source: "account",
+        mode: r.mode,
+        day: r.day_utc,
+        status: r.status,
+        minutes: r.duration_minutes,
+        task: r.task_name,
+        boss: r.boss_name,
+        heals: r.heals,
+        leave_rule: r.leave_rule,
+        away_episodes: Array.isArray(r.away_log) ? awayCount(r.away_log) : null,
+        started_at: r.started_at,
+        ended_at: r.ended_at,
+        run_id: r.client_run_id
+      }));
+    }
+    return collectAnonHistory().sessions.map(e => ({
+      source: "device",
+      mode: e.mode,
+      day: e.dayKey,
+      status: e.status,
+      minutes: e.minutes,
+      task: e.task,
+      boss: e.boss,
+      heals: e.heals,
+      leave_rule: e.rule,
+      away_episodes: historyAwayCount(e),
+      started_at: null,
+      ended_at: new Date(e.ts).toISOString(),
+      run_id: null
+    }));
+  }
+
+  function sessionsToCsv(rows) {
+    const lines = [SESSIONS_CSV_COLUMNS.join(",")];
+    rows.forEach(r => lines.push(SESSIONS_CSV_COLUMNS.map(c => csvCell(r[c])).join(",")));
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  async function exportBackup(kind) {
+    let backup;
+    try {
+      backup = await buildBackup();
+    } catch (e) {
+      console.warn("backup export failed", e);
+      toast("Export failed", "Could not read your account data. Check your connection.");
+      return;
+    }
+    const date = userDayKey();
+    if (kind === "csv") {
+      const blob = new Blob([sessionsToCsv(sessionsCsvRows(backup))], { type: "text/csv" });
+      downloadBlob(blob, `yve_${date}_sessions.csv`);
+    } else {
+      const blob = new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" });
+      downloadBlob(blob, `yve_${date}_backup.json`);
+    }
+    toast("Export", kind === "csv" ? "Sessions CSV downloaded." : "Backup downloaded.");
+  }
+
+  function isValidHistoryEntry(e) {
+    return !!e && typeof e === "object" && isDayKey(e.dayKey) && Number.isFinite(e.minutes) && Number.isFinite(e.ts);
+  }
+
+  // Returns an error string, or null when the file can be imported.
+  function validateBackup(b) {
+    if (!b || b.format !== BACKUP_FORMAT) return "not a You vs Everyone backup";
+    if (!Number.isInteger(b.version) || b.version < 1) return "bad version";
+    if (b.version > BACKUP_VERSION) return `made by a newer version (v${b.version})`;
+    if (!b.local || typeof b.local !== "object") return "missing local data";
+
+    for (const [name, v] of Object.entries(b.local)) {
+      const type = BACKUP_KEYS[name];
+      if (!type) continue; // unknown keys are ignored, not fatal
+      const ok = type === "int" ? Number.isInteger(v) && v >= 0
+        : type === "day" ? isDayKey(v)
+        : type === "string" ? typeof v === "string"
+        : type === "array" ? Array.isArray(v)
+        : !!v && typeof v === "object" && !Array.isArray(v);
+      if (!ok) return `bad value for "${name}"`;
+    }
+
+    if (b.account) {
+      const a = b.account;
+      if (!Array.isArray(a.daily_runs) || !Array.isArray(a.sessions)) return "bad account section";
+      if (a.daily_runs.some(r => !r || !isDayKey(r.day_utc) || !r.status)) return "bad daily_runs row";
+      if (a.sessions.some(r => !r || !r.mode || !r.status || !Number.isFinite(r.duration_minutes))) return "bad sessions row";
+      if (a.tasks !== undefined && !Array.isArray(a.tasks)) return "bad tasks section";
+      if (a.journal_entries !== undefined && !Array.isArray(a.journal_entries)) return "bad journal section";
+    }
+    return null;
+  }
+
+  function mergeHistory(current, incoming) {
+    const seen = new Set(current.map(e => `${e.dayKey}:${e.ts}`));
+    const added = incoming.filter(e => isValidHistoryEntry(e) && !seen.has(`${e.dayKey}:${e.ts}`)).map(compactHistoryEntry);
+    const merged = current.concat(added).sort((a, b) => b.ts - a.ts).slice(0, LOCAL_HISTORY_MAX);
+    return { merged, added: added.length };
+  }
+
+  // Dedupe rules: histories by (dayKey, ts); challenge days keep the better
+  // result; counters keep the larger value; settings follow the backup.
+  function mergeLocalBackup(local) {
+    const counts = { runs: 0, days: 0 };
+
+    if (local.theme === "light" || local.theme === "dark") {
+      writeBackupKey("theme", local.theme);
+      applyTheme(local.theme);
+    }
+    if (local.dayBoundary === "utc" || local.dayBoundary === "local") writeBackupKey("dayBoundary", local.dayBoundary);
+    if (local.leaveRules) writeBackupKey("leaveRules", local.leaveRules);
+    if (local.alerts) writeBackupKey("alerts", local.alerts);
+    if (SHARE_FORMATS[local.shareFormat]) setShareFormat(local.shareFormat);
+    if (SHARE_TEMPLATES[local.shareTemplate]) setShareTemplate(local.shareTemplate);
+
+    ["bossHistory", "arenaHistory", "cycleHistory", "raidHistory"].forEach(name => {
+      if (!local[name]) return;
+      const { merged, added } = mergeHistory(loadJSON(lsKey(name), []), local[name]);
+      saveJSON(lsKey(name), merged);
+      counts.runs += added;
+    });
+
+    // Tasks by id; the later edit wins.
+    if (local.tasks) {
+      const byId = new Map(loadJSON(LS.tasks, []).map(t => [t.id, t]));
+      local.tasks.forEach(t => {
+        if (!isValidTask(t)) return;
+        const cur = byId.get(t.id);
+        if (!cur || String(t.updatedAt || "") > String(cur.updatedAt || "")) byId.set(t.id, t);
+      });
+      saveJSON(LS.tasks, Array.from(byId.values()));
+    }
+
+    if (local.challengeHistory) {
+      const hist = loadJSON(ownedKey(LS.challengeHistory), {});
+      Object.entries(local.challengeHistory).forEach(([day, status]) => {
+        if (!isDayKey(day) || !RUN_STATUS_RANK[status]) return;
+        if ((RUN_STATUS_RANK[status] || 0) > (RUN_STATUS_RANK[hist[day]] || 0)) {
+          hist[day] = status;
+          counts.days += 1;
+        }
+      });
+      saveJSON(ownedKey(LS.challengeHistory), hist);
+    }
+
+    // Journal notes by day; the later edit wins. Photos aren't in backups, so
+    // an entry only claims one that's already on this device.
+    if (local.journal) {
+      const cur = loadJSON(LS.journal, {});
+      Object.values(local.journal).forEach(e => {
+        if (!isValidJournalEntry(e)) return;
+        const have = cur[e.dayKey];
+        if (have && String(have.updatedAt || "") >= String(e.updatedAt || "")) return;
+        cur[e.dayKey] = { ...e, photo: !!(have && have.photo), photoPath: null };
+      });
+      saveJSON(LS.journal, cur);
+    }
+
+    // The device list only: in Auth mode getFreezeHistory() is the account's frozen days.
+    if (local.freezeHistory) {
+      const cur = loadJSON(LS.freezeHistory, []);
+      const have = new Set(cur.map(f => f.dayKey));
+      local.freezeHistory.forEach(f => {
+        if (f && isDayKey(f.dayKey) && !have.has(f.dayKey)) cur.push(f);
+      });
+      saveJSON(LS.freezeHistory, cur);
+    }
+
+    // The streak pair moves together: the later last day wins, ties keep the longer streak.
+    const curLast = localStorage.getItem(LS.lastStreakDay);
+    if (local.lastStreakDay && Number.isInteger(local.streak) &&
+      (!curLast || local.lastStreakDay > curLast || (local.lastStreakDay === curLast && local.streak > getLocalStreak()))) {
+      setStreak(local.streak);
+      localStorage.setItem(LS.lastStreakDay, local.lastStreakDay);
+    }
+
+    ["arenaBadges", "freezes"].forEach(name => {
+      if (!Number.isInteger(local[name])) return;
+      const cur = readBackupKey(name) || 0;
+      if (local[name] > cur) writeBackupKey(name, name === "freezes" ? Math.min(local[name], MAX_STREAK_FREEZES) : local[name]);
+    });
+
+    // Today's result only carries over if it's still today and beats what's here. A run
+    // still in progress stays behind: nothing here would watch its leave rule.
+    const st = local.todayState;
+    const cur = getTodayChallengeState();
+    if (st && (st.state === "completed" || st.state === "failed") && st.dayKey === cur.dayKey &&
+      (RUN_STATUS_RANK[st.state] || 0) > (RUN_STATUS_RANK[cur.state] || 0)) {
+      saveJSON(ownedKey(LS.todayState), { ...cur, ...st });
+    }
+
+    return counts;
+  }
+
+  // Account rows go back through the outbox: daily_runs only where the
+  // backup has the better result, sessions only when not already there
+  // (by client_run_id, or mode + start for rows older than run ids).
+  async function mergeAccountBackup(account) {
+    const [days, existing] = await Promise.all([
+      selectAllRows(() => supabase.from("daily_runs").select("day_utc, status").eq("user_id", authUser.id).order("day_utc")),
+      selectAllRows(() => supabase.from("sessions").select("client_run_id, mode, started_at").eq("user_id", authUser.id).order("started_at").order("client_run_id"))
+    ]);
+    const error = days.error || existing.error;
+    if (error) throw error;
+    const inDb = new Map((days.data || []).map(r => [r.day_utc, r.status]));
+    const sessionKey = (r) => r.client_run_id || `${r.mode}:${Date.parse(r.started_at)}`;
+    const haveSessions = new Set((existing.data || []).map(sessionKey));
+
+    const runs = account.daily_runs.filter(r => {
+      if (r.status === "frozen") return !inDb.has(r.day_utc);
+      return (RUN_STATUS_RANK[r.status] || 0) > (RUN_STATUS_RANK[inDb.get(r.day_utc)] || 0);
+    });
+    for (const r of runs) {
+      await dbUpsertDailyRun({
+        status: r.status,
+        challengeId: r.challenge_id,
+        startedAtISO: r.started_at,
+        endedAtISO: r.ended_at,
+        failReason: r.fail_reason,
+        dayUtc: r.day_utc,
+        leaveRule: r.leave_rule,
+        leaveRuleParams: r.leave_rule_params || null,
+        awayLog: r.away_log
+      });
+    }
+
+    const sessions = account.sessions.filter(r => !haveSessions.has(sessionKey(r)));
+    for (const r of sessions) {
+      await dbInsertSession({
+        mode: r.mode,
+        runId: r.client_run_id || `import:${r.mode}:${Date.parse(r.started_at)}`,
+        taskName: r.task_name,
+        durationMinutes: r.duration_minutes,
+        status: r.status,
+        startedAtISO: r.started_at,
+        endedAtISO: r.ended_at,
+        dayUtc: r.day_utc,
+        leaveRule: r.leave_rule,
+        leaveRuleParams: r.leave_rule_params || null,
+        awayLog: r.away_log,
+        heals: r.heals,
+        cycleId: r.cycle_id,
+        cycleRound: r.cycle_round,
+        cycleRounds: r.cycle_rounds,
+        raidCode: r.raid_code,
+        raidSize: r.raid_size,
+        raidDamage: r.raid_damage,
+        bossName: r.boss_name
+      });
+    }
+    await mergeTasksIntoAccount((account.tasks || []).map(r => ({
+      id: r.id,
+      name: r.name,
+      position: r.position,
+      status: r.status,
+      createdAt: r.created_at,
+      updatedAt: r.updated_at,
+      doneAt: r.done_at
+    })));
+    await mergeJournalIntoAccount((account.journal_entries || []).map(r => ({
+      dayKey: r.day_utc,
+      challengeId: r.challenge_id,
+      note: r.note || "",
+      onCard: !!r.on_card,
+      photo: !!r.photo_path,
+      photoPath: r.photo_path || null,
+      updatedAt: r.updated_at
+    })));
+    await syncStreakFromDb();
+    return { runs: runs.length, sessions: sessions.length };
+  }
+
+  async function importBackupFile(file) {
+    if (Boss.running || Arena.running || Raid.phase === "fighting" || getTodayChallengeState().state === "in_progress") {
+      toast("Import", "Finish the current run before importing.");
+      return;
+    }
+
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch {
+      toast("Import failed", "That file isn’t valid JSON.");
+      return;
+    }
+    const err = validateBackup(backup);
+    if (err) {
+      toast("Import failed", `Backup rejected: ${err}.`);
+      return;
+    }
+
+    const local = mergeLocalBackup(backup.local);
+    let note = `${local.runs} run${local.runs === 1 ? "" : "s"} + ${local.days} challenge day${local.days === 1 ? "" : "s"} merged.`;
+
+    if (backup.account) {
+      const owner = backup.account.userId || backup.account.profile?.id;
+      if (!isAuthActive() || !supabase) {
+        note += " Account rows skipped: log in to import them.";
+      } else if (owner !== authUser.id) {
+        note += " Account rows skipped: the backup belongs to a different account.";
+      } else {
+        try {
+          const acc = await mergeAccountBackup(backup.account);
+          note += ` Account: ${acc.runs} day${acc.runs === 1 ? "" : "s"}, ${acc.sessions} session${acc.sessions === 1 ? "" : "s"} queued.`;
+        } catch (e) {
+          console.warn("backup account import failed", e);
+          note += " Account rows failed to import; try again online.";
+        }
+      }
+    }
+
+    await reconcileStreakForNewDay();
+    renderHub();
+    renderLeaveRuleHints();
+    toast("Imported", note);
+  }
+
+  // -----------------------------
+  // Challenge packs (daily shared)
+  // -----------------------------
+  // Pack format (challenges.json):
+  //   {format: "yve-challenge-pack", version, epoch, noRepeatDays, defaultLang,
+  //    challenges: [{id, category, difficulty, durationMin?, text: {en: {title, desc}, ru: …}}]}
+  // Ids are the integers stored in daily_runs.challenge_id: never reuse or renumber them.
+  const CHALLENGE_PACK_URL = "./challenges.json";
+  const CHALLENGE_PACK_FORMAT = "yve-challenge-pack";
+  const LEGACY_CHALLENGE_COUNT = 12; // ids 0..11 = the original v1 list
+
+  // English copy of challenges.json, used when the file can't load (offline before the
+  // service worker cached it, or a broken deploy). Ids, version, epoch and noRepeatDays
+  // must stay in step with the file: the daily pick depends on all of them.
+  const BUILTIN_CHALLENGES = [
+    { id: 0, category: "momentum", difficulty: "easy", durationMin: 2, title: "Two-Minute Start", desc: "Do 2 minutes of the thing you’re avoiding. Stop after 2 minutes if you want. (You won’t.)" },
+    { id: 1, category: "declutter", difficulty: "medium", title: "Inbox Guillotine", desc: "Clear 10 emails/messages. Archive, delete, reply. No perfection, just motion." },
+    { id: 2, category: "declutter", difficulty: "easy", title: "Desk Reset", desc: "Make your workspace look like a person lives there. 5 items back where they belong." },
+    { id: 3, category: "writing", difficulty: "medium", title: "One Ugly Draft", desc: "Create the worst first draft possible. Minimum 150 words / 10 lines. Pride stays outside." },
+    { id: 4, category: "focus", difficulty: "hard", durationMin: 25, title: "Phone Exile", desc: "Put the phone away for 25 minutes. If you reach for it, you restart the timer in your head." },
+    { id: 5, category: "body", difficulty: "easy", durationMin: 3, title: "Micro-Workout", desc: "Do 30 squats or a 3-minute walk. Not fitness. Momentum." },
+    { id: 6, category: "declutter", difficulty: "medium", title: "File Graveyard", desc: "Delete or organize 20 files/screenshots. Your future self is watching." },
+    { id: 7, category: "planning", difficulty: "easy", durationMin: 5, title: "The 1-Task List", desc: "Write exactly one task for today. Then do the first 5 minutes of it." },
+    { id: 8, category: "focus", difficulty: "easy", title: "Noise Cut", desc: "Close 5 tabs/apps you don’t need. Yes, even that one. Especially that one." },
+    { id: 9, category: "planning", difficulty: "medium", durationMin: 1, title: "Tomorrow Trap", desc: "Schedule one specific action for tomorrow (time + place). Then do 1 minute of prep now." },
+    { id: 10, category: "momentum", difficulty: "easy", title: "No-Zero Move", desc: "Do any non-zero progress: one paragraph, one slide, one commit, one call." },
+    { id: 11, category: "momentum", difficulty: "hard", durationMin: 5, title: "The Hard Part First", desc: "Do the hardest 5 minutes first. You don’t have to finish. You do have to start." },
+    { id: 12, category: "focus", difficulty: "medium", durationMin: 15, title: "Single-Tab Sprint", desc: "15 minutes with exactly one tab or window open. Everything else waits." },
+    { id: 13, category: "writing", difficulty: "easy", durationMin: 5, title: "Brain Dump", desc: "Write down every open loop in your head for 5 minutes. Don’t sort. Just empty." },
+    { id: 14, category: "body", difficulty: "medium", durationMin: 10, title: "Walk It Out", desc: "Take a 10-minute walk without headphones. Think about one problem only." },
+    { id: 15, category: "declutter", difficulty: "hard", title: "Unsubscribe Spree", desc: "Unsubscribe from 5 newsletters or mute 5 noisy chats. Silence is a feature." },
+    { id: 16, category: "planning", difficulty: "medium", title: "Kill One Task", desc: "Pick one item on your list you will never do. Delete it. Out loud if needed." },
+    { id: 17, category: "momentum", difficulty: "medium", title: "Finish Line", desc: "Find something 90% done. Close the last 10%. Ship it." },
+    { id: 18, category: "focus", difficulty: "hard", durationMin: 45, title: "Deep Block", desc: "One 45-minute block on your most important task. Notifications off. Door closed." },
+    { id: 19, category: "writing", difficulty: "medium", title: "The Overdue Reply", desc: "Answer the one message you’ve been dodging. Short is fine. Sent is the goal." },
+    { id: 20, category: "body", difficulty: "easy", durationMin: 2, title: "Water + Window", desc: "Drink a full glass of water and look out a window for 2 minutes. Reboot complete." },
+    { id: 21, category: "planning", difficulty: "easy", durationMin: 3, title: "Tomorrow’s First Line", desc: "Write the very first step of tomorrow’s main task, so future you starts instantly." },
+    { id: 22, category: "declutter", difficulty: "medium", durationMin: 10, title: "Download Purge", desc: "Empty your Downloads folder to under 20 items. 10 minutes, no mercy." },
+    { id: 23, category: "momentum", difficulty: "hard", title: "Ask For Help", desc: "Send one message asking for the help you’ve been too proud to request." }
+  ];
+
+  const BUILTIN_CHALLENGE_PACK = {
+    format: CHALLENGE_PACK_FORMAT,
+    version: 2,
+    epoch: "2026-10-20",
+    noRepeatDays: 14,
+    defaultLang: "en",
+    challenges: BUILTIN_CHALLENGES.map(({ title, desc, ...c }) => ({ ...c, text: { en: { title, desc } } }))
+  };
+
+  const Challenges = {
+    pack: BUILTIN_CHALLENGE_PACK,
+    byId: new Map(),
+    picks: new Map(), // dayKey -> id (memo for the no-repeat walk)
+    walk: null        // {day, recent} — where the walk stopped
+  };
+
+  function validateChallengePack(p) {
+    if (!p || p.format !== CHALLENGE_PACK_FORMAT) return "unknown format";
+    if (!Number.isInteger(p.version) || p.version < 1) return "bad version";
+    if (p.epoch && !/^\d{4}-\d{2}-\d{2}$/.test(p.epoch)) return "bad epoch";
+    if (!Array.isArray(p.challenges) || !p.challenges.length) return "no challenges";
+
+    const lang = p.defaultLang || "en";
+    const seen = new Set();
+    for (const c of p.challenges) {
+      if (!c || !Number.isInteger(c.id) || seen.has(c.id)) return `bad or duplicate id ${c && c.id}`;
+      seen.add(c.id);
+      const t = c.text && c.text[lang];
+      if (!t || !t.title || !t.desc) return `challenge ${c.id} has no "${lang}" text`;
+    }
+    for (let id = 0; id < LEGACY_CHALLENGE_COUNT; id++) {
+      if (!seen.has(id)) return `legacy id ${id} missing`;
+    }
+    return null;
+  }
+
+  function useChallengePack(pack) {
+    Challenges.pack = pack;
+    Challenges.byId = new Map(pack.challenges.map(c => [c.id, c]));
+    Challenges.picks.clear();
+    Challenges.walk = null;
+  }
+
+  // Boot doesn't wait for this: the built-in copy picks the same challenge, the file
+  // only adds translations (or a newer pack), so screens just re-render when it lands.
+  async function loadChallengePack() {
+    if (!window.fetch) return false;
+    try {
+      const res = await fetch(CHALLENGE_PACK_URL, { cache: "no-cache" });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const pack = await res.json();
+      const problem = validateChallengePack(pack);
+      if (problem) throw new Error(problem);
+      useChallengePack(pack);
+      return true;
+    } catch (e) {
+      console.warn("Challenge pack not loaded, using built-in list.", e);
+      return false;
+    }
+  }
+
+  function pickChallengeIdForDay(dayKey) {
+    const pack = Challenges.pack;
+
+    // Days before the pack epoch keep the original pick, so old runs resolve unchanged.
+    if (!pack.epoch || dayKey < pack.epoch) {
+      const rnd = mulberry32(daySeed(dayKey, "challenge"));
+      return Math.floor(rnd() * LEGACY_CHALLENGE_COUNT);
+    }
+
+    // Walk forward from the epoch; each day draws from the pool minus the
+    // previous noRepeatDays picks. Same pack + same day => same id for everyone.
+    if (Challenges.picks.has(dayKey)) return Challenges.picks.get(dayKey);
+
+    const ids = pack.challenges.map(c => c.id).sort((a, b) => a - b);
+    const windowDays = clamp(pack.noRepeatDays | 0, 0, ids.length - 1);
+    if (!Challenges.walk) Challenges.walk = { day: pack.epoch, recent: [] };
+
+    const w = Challenges.walk;
+    while (w.day <= dayKey) {
+      const recent = new Set(w.recent);
+      const pool = ids.filter(id => !recent.has(id));
+      const rnd = mulberry32(daySeed(w.day, `challenge:v${pack.version}`));
+      const id = pool[Math.floor(rnd() * pool.length)];
+
+      Challenges.picks.set(w.day, id);
+      w.recent.push(id);
+      if (w.recent.length > windowDays) w.recent.shift();
+      w.day = addDays(w.day, 1);
+    }
+    return Challenges.picks.get(dayKey);
+  }
+
+  function challengeLang() {
+    return String(navigator.language || "en").slice(0, 2).toLowerCase();
+  }
+
+  function getChallengeById(id) {
+    const c = Challenges.byId.get(id) || BUILTIN_CHALLENGE_PACK.challenges[id];
+    if (!c) return { id, title: `Challenge #${id}`, desc: "", category: null, difficulty: null, durationMin: null };
+
+    const text = c.text[challengeLang()] || c.text[Challenges.pack.defaultLang] || c.text.en;
+    return {
+      id: c.id,
+      title: text.title,
+      desc: text.desc,
+      category: c.category || null,
+      difficulty: c.difficulty || null,
+      durationMin: c.durationMin || null
+    };
+  }
+
+  function getTodaysChallenge() {
+    return getChallengeForDay(userDayKey());
+  }
+
+  function getChallengeForDay(dayKey) {
+    return getChallengeById(pickChallengeIdForDay(dayKey));
+  }
+
+  // -----------------------------
+  // Crowd count (live in Auth mode, else simulated + stable per UTC day)
+  // -----------------------------
+  function getTodaysCrowdNumber() {
+    if (Crowd.source === "live") return crowdLiveCounts().today.toLocaleString();
+
+    const seed = todaySeed("crowd");
+    const rnd = mulberry32(seed);
+    const base = 8000 + Math.floor(rnd() * 24000);
+    const wiggle = Math.floor(rnd() * 1800);
+    const n = base + wiggle;
+    return n.toLocaleString();
+  }
+
+  function renderCrowd() {
+    const live = Crowd.source === "live";
+    const crowd = getTodaysCrowdNumber();
+    $("#crowdNumber").textContent = `${crowd} people are in today`;
+    $("#crowdSource").textContent = live ? "Live • logged-in players today" : "Simulated • stable for your day";
+    $("#crowdBackend").textContent = live ? "Realtime presence" : "Zero backend";
+    $("#crowdDisclaimer").textContent = live
+      ? "Crowd count comes from logged-in players’ presence (mode + last seen). Nothing else is shared."
+      : "Crowd count is simulated on-device. No tracking, no accounts, no data sent anywhere.";
+    $("#crowdCanvas").setAttribute("aria-label", live ? "Crowd visualization" : "Simulated crowd visualization");
+    renderArenaPeople();
+  }
+
+  // -----------------------------
+  // Streak + daily rollover (personal day)
+  // -----------------------------
+  // The one read path for every streak display. Anonymous: local counter.
+  // Auth: derived from the user's completed daily_runs days, so every device agrees.
   function getStreak() {
+    if (isAuthActive()) return getAuthStreakInfo().streak;
+    return getLocalStreak();
+  }
+
+  function getLocalStreak() {
     const n = parseInt(localStorage.getItem(LS.streak) || "0", 10);
     return isFinite(n) ? n : 0;
   }
@@ -778,8 +2183,8 @@
   }
 
   function getTodayChallengeState() {
-    const dayKey = utcDayKey();
-    const s = loadJSON(LS.todayState, null);
+    const dayKey = userDayKey();
+    const s = loadJSON(ownedKey(LS.todayState), null);
     if (!s || s.dayKey !== dayKey) {
       const fresh = {
         dayKey,
@@ -788,7 +2193,7 @@
         resultAt: null,
         challengeId: getTodaysChallenge().id
       };
-      saveJSON(LS.todayState, fresh);
+      saveJSON(ownedKey(LS.todayState), fresh);
       return fresh;
     }
     return s;
@@ -796,24 +2201,265 @@
   function setTodayChallengeState(patch) {
     const cur = getTodayChallengeState();
     const next = { ...cur, ...patch };
-    saveJSON(LS.todayState, next);
+    saveJSON(ownedKey(LS.todayState), next);
+    if (next.state !== "not_started") {
+      const hist = loadJSON(ownedKey(LS.challengeHistory), {});
+      hist[next.dayKey] = next.state;
+      saveJSON(ownedKey(LS.challengeHistory), hist);
+    }
     return next;
   }
 
-  function reconcileStreakForNewDay() {
-    const today = utcDayKey();
+  // Consecutive completed days ending on the latest one, as long as that is today
+  // or yesterday. Frozen days bridge the chain without adding to it.
+  function streakFromCompletedDays(days, { today = userDayKey(), frozen = [] } = {}) {
+    const done = new Set(days);
+    const bridged = new Set(frozen);
+    const anchor = days.concat(frozen).filter(d => d >= addDays(today, -1)).sort().pop();
+    let streak = 0;
+    for (let d = anchor; done.has(d) || bridged.has(d); d = addDays(d, -1)) {
+      if (done.has(d)) streak += 1;
+    }
+    return { streak, lastDay: streak ? anchor : null };
+  }
+
+  function getAuthStreakDays() {
+    const cache = loadJSON(LS.authStreak, null);
+    const mine = cache && cache.userId === authUser.id;
+    const days = mine && Array.isArray(cache.days) ? cache.days : [];
+    const frozen = mine && Array.isArray(cache.frozen) ? cache.frozen : [];
+    const failed = mine && Array.isArray(cache.failed) ? cache.failed : [];
+
+    // Writes still waiting in the outbox count already.
+    const pending = outboxPendingFor(authUser.id).filter(e => e.table === "daily_runs");
+    pending.forEach(e => {
+      if (e.payload.status === "completed") days.push(e.payload.day_utc);
+      if (e.payload.status === "frozen") frozen.push(e.payload.day_utc);
+      if (e.payload.status === "failed") failed.push(e.payload.day_utc);
+    });
+    return { days, frozen, failed };
+  }
+
+  function getAuthStreakInfo() {
+    const { days, frozen } = getAuthStreakDays();
+    return streakFromCompletedDays(days, { frozen });
+  }
+
+  async function syncStreakFromDb() {
+    if (!isAuthActive() || !supabase) return false;
+
+    // A year of history is plenty to anchor any realistic streak.
+    const { data, error } = await supabase
+      .from("daily_runs")
+      .select("day_utc, status")
+      .eq("user_id", authUser.id)
+      .in("status", ["completed", "frozen", "failed"])
+      .order("day_utc", { ascending: false })
+      .limit(400);
+
+    if (error) {
+      console.warn("daily_runs streak select failed", error);
+      return false;
+    }
+
+    const rows = data || [];
+    saveJSON(LS.authStreak, {
+      userId: authUser.id,
+      days: rows.filter(r => r.status === "completed").map(r => r.day_utc),
+      frozen: rows.filter(r => r.status === "frozen").map(r => r.day_utc),
+      failed: rows.filter(r => r.status === "failed").map(r => r.day_utc),
+      syncedAt: new Date().toISOString()
+    });
+    return true;
+  }
+
+  async function reconcileStreakForNewDay() {
+    if (isAuthActive()) {
+      if (!(await syncStreakFromDb())) return;
+      const { days, frozen, failed } = getAuthStreakDays();
+      const last = days.concat(frozen, failed).sort().pop();
+      if (!last) return;
+
+      const missed = daysBetween(last, userDayKey()) - 1;
+      if (missed < 1) return;
+
+      // Only worth a freeze if there is a chain to protect. A failed last day
+      // (including a recorded miss, below) means it's already broken.
+      if (failed.includes(last)) return;
+      const chain = streakFromCompletedDays(days, { today: last, frozen }).streak;
+      if (!chain) return;
+
+      if (await useAuthFreezes(last, missed)) {
+        toast("Streak freeze", `${missed} freeze${missed === 1 ? "" : "s"} used. Streak survives.`);
+      } else {
+        // Recorded like Anonymous zeroing its counter: the next boot finds the chain
+        // already broken, and freezes earned later can't bridge back to it.
+        const day = addDays(last, 1);
+        await dbUpsertDailyRun({
+          status: "failed",
+          challengeId: getChallengeForDay(day).id,
+          dayUtc: day,
+          failReason: "Missed day"
+        });
+        toast("Streak", "Missed a day. Streak reset. Brutal, but fair.");
+      }
+      return;
+    }
+    // Auth session not restored yet: login reconciles from the DB.
+    if (getUserMode() === "auth") return;
+    reconcileLocalStreak();
+  }
+
+  // The local counter sits idle while an account is active; it's brought up to
+  // date whenever Anonymous takes over again (boot, logout, entry gate).
+  function reconcileLocalStreak() {
     const last = localStorage.getItem(LS.lastStreakDay);
     if (!last) return;
 
-    const lastDate = new Date(last + "T00:00:00Z");
-    const todayDate = new Date(today + "T00:00:00Z");
-    const diffDays = Math.floor((todayDate - lastDate) / (24 * 3600 * 1000));
-    if (diffDays >= 2) {
+    const missed = daysBetween(last, userDayKey()) - 1;
+    if (missed >= 1 && getLocalStreak() > 0) {
+      if (useLocalFreezes(last, missed)) {
+        toast("Streak freeze", `${missed} freeze${missed === 1 ? "" : "s"} used. Streak survives.`);
+        return;
+      }
       setStreak(0);
       toast("Streak", "Missed a day. Streak reset. Brutal, but fair.");
     }
   }
 
+  function daysBetween(fromKey, toKey) {
+    return Math.round((new Date(toKey + "T00:00:00Z") - new Date(fromKey + "T00:00:00Z")) / (24 * 3600 * 1000));
+  }
+
+  // -----------------------------
+  // Streak freezes
+  // -----------------------------
+  // Earned per completed Focus Arena badge cycle; spent automatically, one per
+  // missed day, but only when the holder can cover every missed day.
+  const MAX_STREAK_FREEZES = 3;
+
+  function getFreezeCount() {
+    if (isAuthActive()) return authProfile?.streak_freezes || 0;
+    const n = parseInt(localStorage.getItem(LS.freezes) || "0", 10);
+    return isFinite(n) ? n : 0;
+  }
+
+  function setFreezeCount(n) {
+    const next = clamp(n, 0, MAX_STREAK_FREEZES);
+    if (!isAuthActive()) {
+      localStorage.setItem(LS.freezes, String(next));
+      return;
+    }
+
+    authProfile = { ...authProfile, streak_freezes: next };
+    outboxEnqueue({
+      key: `profiles:freezes:${authUser.id}`,
+      table: "profiles",
+      // display_name/circle_style ride along so the upsert never inserts a bare row
+      payload: {
+        id: authUser.id,
+        display_name: authProfile.display_name,
+        circle_style: authProfile.circle_style,
+        streak_freezes: next
+      },
+      onConflict: "id",
+      userId: authUser.id
+    });
+    outboxFlush();
+  }
+
+  // Returns true when a freeze was added (false at the cap).
+  function earnStreakFreeze() {
+    const n = getFreezeCount();
+    if (n >= MAX_STREAK_FREEZES) return false;
+    setFreezeCount(n + 1);
+    return true;
+  }
+
+  function useLocalFreezes(lastDay, missed) {
+    const held = getFreezeCount();
+    if (held < missed) return false;
+
+    setFreezeCount(held - missed);
+    const history = loadJSON(LS.freezeHistory, []);
+    for (let i = 1; i <= missed; i++) {
+      history.unshift({ dayKey: addDays(lastDay, i), usedAt: new Date().toISOString() });
+    }
+    saveJSON(LS.freezeHistory, history.slice(0, 50));
+
+    // The chain now ends yesterday: completing today continues it.
+    localStorage.setItem(LS.lastStreakDay, addDays(userDayKey(), -1));
+    return true;
+  }
+
+  // Auth: each frozen day becomes a daily_runs row (status "frozen"), so every
+  // device derives the same streak and the use shows up in history.
+  async function useAuthFreezes(lastDay, missed) {
+    const held = getFreezeCount();
+    if (held < missed) return false;
+
+    setFreezeCount(held - missed);
+    for (let i = 1; i <= missed; i++) {
+      const day = addDays(lastDay, i);
+      await dbUpsertDailyRun({
+        status: "frozen",
+        challengeId: getChallengeForDay(day).id,
+        dayUtc: day,
+        failReason: "Streak freeze used"
+      });
+    }
+    return true;
+  }
+
+  function getFreezeHistory() {
+    if (isAuthActive()) {
+      return getAuthStreakDays().frozen
+        .sort()
+        .reverse()
+        .map(dayKey => ({ dayKey, usedAt: null }));
+    }
+    return loadJSON(LS.freezeHistory, []);
+  }
+
+  // Share cards: the last n personal days, oldest first.
+  // state: 'done' | 'frozen' | 'missed' | 'open' (today, not completed yet)
+  function recentStreakDays(n) {
+    const today = userDayKey();
+    const done = isAuthActive()
+      ? new Set(getAuthStreakDays().days)
+      : new Set(Object.entries(loadJSON(ownedKey(LS.challengeHistory), {})).filter(([, v]) => v === "completed").map(([k]) => k));
+    const frozen = new Set(getFreezeHistory().map(f => f.dayKey));
+    return Array.from({ length: n }, (_, i) => {
+      const dayKey = addDays(today, i - n + 1);
+      const state = done.has(dayKey) ? "done" : frozen.has(dayKey) ? "frozen" : dayKey === today ? "open" : "missed";
+      return { dayKey, state };
+    });
+  }
+
+  function openFreezeModal() {
+    const held = getFreezeCount();
+    const history = getFreezeHistory();
+    openModal({
+      title: "Streak freezes",
+      body: `
+        <p><b>${held} / ${MAX_STREAK_FREEZES} held.</b> Earn one for every full Focus Arena badge cycle (3 cleared sessions).
+        A missed day uses one automatically — if you hold enough to cover every missed day.</p>
+        <div class="history">
+          ${history.length ? history.slice(0, 10).map(h => `
+            <div class="history-item">
+              <div class="history-top">
+                <div class="history-title">❄ Day frozen</div>
+                <div class="mono">${escapeHTML(h.dayKey)}</div>
+              </div>
+              ${h.usedAt ? `<div class="history-sub">Used ${escapeHTML(h.usedAt.slice(0, 10))}</div>` : ""}
+            </div>
+          `).join("") : `<div class="muted">No freezes used yet.</div>`}
+        </div>
+      `,
+      actions: [{ label: "Close", variant: "primary", onClick: () => closeModal() }]
+    });
+  }
+
   // -----------------------------
   // Hub rendering
   // -----------------------------
@@ -827,15 +2473,17 @@
 
   function renderHub() {
     const c = getTodaysChallenge();
-    $("#miniChallengeName").textContent = `Today (UTC): ${c.title}`;
+    $("#miniChallengeName").textContent = `Today (${dayFrameLabel()}): ${c.title}`;
 
-    const crowd = getTodaysCrowdNumber();
-    $("#crowdNumber").textContent = `${crowd} people are in today`;
+    renderCrowd();
 
     const streak = getStreak();
     $("#streakBig").textContent = String(streak);
     $("#shareStreak1").textContent = String(streak);
 
+    const freezes = getFreezeCount();
+    $("#freezeChip").textContent = `❄ ${freezes} freeze${freezes === 1 ? "" : "s"}`;
+
     const st = getTodayChallengeState();
     const label = stateLabel(st.state);
     $("#todayStatusBig").textContent = label;
@@ -847,13 +2495,13 @@
 
     const statusText = $("#statusText");
     const dot = $("#statusDot");
-    statusText.textContent = `Today (UTC): ${label}`;
+    statusText.textContent = `Today (${dayFrameLabel()}): ${label}`;
     dot.classList.remove("ok", "bad");
     if (st.state === "completed") dot.classList.add("ok");
     else if (st.state === "failed") dot.classList.add("bad");
 
     // share dates
-    const dk = utcDayKey();
+    const dk = userDayKey();
     $("#shareDate1").textContent = dk;
     $("#shareDate2").textContent = dk;
     $("#shareDate3").textContent = dk;
@@ -862,50 +2510,539 @@
   }
 
   // -----------------------------
-  // Shared anti-leave detector (15s away)
+  // Shared anti-leave detector
   // -----------------------------
+  // One absence of thresholdMs+ always triggers. Shorter ones are free until
+  // shortForgiven is used up, and all away time counts against awayBudgetMs.
+  const LEAVE_RULE_PRESETS = {
+    strict: { id: "strict", label: "Strict", thresholdMs: 10000, shortForgiven: 2, awayBudgetMs: 30 * 1000 },
+    standard: { id: "standard", label: "Standard", thresholdMs: 15000, shortForgiven: 5, awayBudgetMs: 2 * 60 * 1000 },
+    lenient: { id: "lenient", label: "Lenient", thresholdMs: 30000, shortForgiven: Infinity, awayBudgetMs: 10 * 60 * 1000 }
+  };
+  const LEAVE_RULE_MODES = [
+    { mode: "challenge24", label: "24h Challenge" },
+    { mode: "bossFight", label: "Boss Fight" },
+    { mode: "focusArena", label: "Focus Arena" }
+  ];
+  const MIN_COUNTED_AWAY_MS = 1000; // alt-tab flickers and focus blips aren't absences
+  const AWAY_LOG_MAX = 200;
+
+  // Every episode is logged, counted or not: {at: ISO, ms, source: 'visibilitychange' | 'blur', outcome}
+  // outcome: 'ignored' | 'forgiven' | 'threshold' | 'short' | 'budget' (rule broken) | 'ended' (run ended while away)
   const Visibility = {
-    activeRule: null // {type, thresholdMs, awayStart, onTrigger}
+    activeRule: null // {type, preset, thresholdMs, shortForgiven, awayBudgetMs, shortCount, awayTotalMs, log, awayStart, awaySource, onTrigger}
   };
 
-  function startLeaveRule({ type, thresholdMs = 15000, onTrigger }) {
-    Visibility.activeRule = {
-      type,
-      thresholdMs,
-      awayStart: null,
-      onTrigger
+  function getLeaveRulePreset(id) {
+    return LEAVE_RULE_PRESETS[id] || LEAVE_RULE_PRESETS.standard;
+  }
+
+  // The preset's values as JSON (Infinity → null), as stored with a run and put in result links.
+  function leaveRuleValues(id) {
+    const p = getLeaveRulePreset(id);
+    return {
+      thresholdMs: p.thresholdMs,
+      shortForgiven: p.shortForgiven === Infinity ? null : p.shortForgiven,
+      awayBudgetMs: p.awayBudgetMs
     };
   }
 
-  function stopLeaveRule() {
-    Visibility.activeRule = null;
+  // A new run records today's values; a restored row keeps what it had (null: unknown).
+  function runLeaveRuleParams(id, params) {
+    if (params !== undefined) return params;
+    return id ? leaveRuleValues(id) : null;
   }
 
-  function initVisibilityWatcher() {
-    function checkBack() {
-      const rule = Visibility.activeRule;
-      if (!rule || !rule.awayStart) return;
+  function getLeaveRule(mode) {
+    const saved = loadJSON(LS.leaveRules, {});
+    return getLeaveRulePreset(saved[mode]);
+  }
+
+  function setLeaveRule(mode, id) {
+    const saved = loadJSON(LS.leaveRules, {});
+    saved[mode] = getLeaveRulePreset(id).id;
+    saveJSON(LS.leaveRules, saved);
+  }
+
+  function describeLeaveRule(p) {
+    const slips = p.shortForgiven === Infinity ? "unlimited short slips"
+      : p.shortForgiven === 0 ? "no short slips"
+      : `${p.shortForgiven} short slip${p.shortForgiven === 1 ? "" : "s"} forgiven`;
+    return `one ${p.thresholdMs / 1000}s+ absence • ${slips} • ${msToClock(p.awayBudgetMs)} total away budget`;
+  }
+
+  // Share cards / history: short enough for one line.
+  function leaveRuleTag(id) {
+    const p = getLeaveRulePreset(id);
+    return `${p.label} (${p.thresholdMs / 1000}s)`;
+  }
+
+  function leaveRuleReason(p, { awayMs, reason }) {
+    if (reason === "short") return `Too many short absences (${p.label}: ${p.shortForgiven} forgiven).`;
+    if (reason === "budget") return `Away budget spent (${p.label}: ${msToClock(p.awayBudgetMs)} per session).`;
+    return `Left for ${Math.floor(awayMs / 1000)}s (${p.label} ${p.thresholdMs / 1000}s rule).`;
+  }
+
+  function leaveRuleCheckHTML(p, consequence) {
+    return `
+      <p><b>Leave rule: ${escapeHTML(p.label)}</b> — ${escapeHTML(describeLeaveRule(p))}.</p>
+      <p><b>Breaking it ${escapeHTML(consequence)}.</b> Strictness per mode lives in Settings.</p>
+    `;
+  }
+
+  // Screen hints follow the saved preset; a running fight keeps its own.
+  function renderLeaveRuleHints() {
+    const c = getLeaveRule("challenge24");
+    const b = getLeaveRule("bossFight");
+    const a = getLeaveRule("focusArena");
+    $("#challengeRuleHint").innerHTML =
+      `Rule (${escapeHTML(c.label)}): ${escapeHTML(describeLeaveRule(c))} → <b>fail</b>. (Warning shown before start.)`;
+    $("#bossRulePill").textContent = `${b.label} ${b.thresholdMs / 1000}s → boss heals`;
+    $("#bossRuleHint").innerHTML =
+      `Rule (${escapeHTML(b.label)}): ${escapeHTML(describeLeaveRule(b))}. Breaking it heals the boss <b>+${bossHealPct(dailyBoss())}% HP</b>. (Warning shown before start.)`;
+    $("#arenaRuleNote").innerHTML =
+      `Rule (${escapeHTML(a.label)}): ${escapeHTML(describeLeaveRule(a))} → <b>fail</b>. No drama, just math.`;
+  }
+
+  function leaveRuleAway() {
+    const rule = Visibility.activeRule;
+    return rule ? { shortCount: rule.shortCount, awayTotalMs: rule.awayTotalMs, log: rule.log } : null;
+  }
+
+  function startLeaveRule({ type, preset, away = null, onTrigger }) {
+    const p = getLeaveRulePreset(preset);
+    Visibility.activeRule = {
+      type,
+      preset: p.id,
+      thresholdMs: p.thresholdMs,
+      shortForgiven: p.shortForgiven,
+      awayBudgetMs: p.awayBudgetMs,
+      shortCount: away?.shortCount || 0,
+      awayTotalMs: away?.awayTotalMs || 0,
+      log: Array.isArray(away?.log) ? away.log.slice(-AWAY_LOG_MAX) : [],
+      awayStart: null,
+      awaySource: null,
+      onTrigger
+    };
+    // Armed while the tab is hidden (a cycle round starting after a break): the absence starts now.
+    if (document.hidden) {
+      Visibility.activeRule.awayStart = Date.now();
+      Visibility.activeRule.awaySource = "visibilitychange";
+      scheduleAwayWarning();
+    }
+  }
+
+  function logAwayEpisode(rule, awayMs, outcome) {
+    rule.log.push({ at: new Date(rule.awayStart).toISOString(), ms: awayMs, source: rule.awaySource, outcome });
+    if (rule.log.length > AWAY_LOG_MAX) rule.log.shift();
+  }
+
+  // Updates the rule's counters; anything but 'ignored'/'forgiven' breaks the rule.
+  function judgeAway(rule, awayMs) {
+    if (awayMs < MIN_COUNTED_AWAY_MS) return "ignored";
+    rule.awayTotalMs += awayMs;
+    if (awayMs >= rule.thresholdMs) return "threshold";
+    rule.shortCount += 1;
+    if (rule.shortCount > rule.shortForgiven) return "short";
+    if (rule.awayTotalMs > rule.awayBudgetMs) return "budget";
+    return "forgiven";
+  }
+
+  // Returns the run's away log (an open episode is closed as 'ended').
+  function stopLeaveRule() {
+    const rule = Visibility.activeRule;
+    Visibility.activeRule = null;
+    cancelAwayWarning();
+    if (!rule) return [];
+    if (rule.awayStart) logAwayEpisode(rule, Date.now() - rule.awayStart, "ended");
+    return rule.log;
+  }
+
+  const AWAY_OUTCOME_LABELS = {
+    ignored: "blip, not counted",
+    forgiven: "forgiven",
+    threshold: "rule broken: too long",
+    short: "rule broken: slip limit",
+    budget: "rule broken: budget spent",
+    ended: "run ended while away"
+  };
+
+  function isAwayRuleBreak(outcome) {
+    return outcome === "threshold" || outcome === "short" || outcome === "budget";
+  }
+
+  // Counted episodes only: blips under MIN_COUNTED_AWAY_MS aren't drifting off.
+  function awayCount(log) {
+    return (log || []).filter(e => e.outcome !== "ignored").length;
+  }
+
+  function awayClock(iso) {
+    const d = new Date(iso);
+    if (!isLocalDayBoundary()) return d.toISOString().slice(11, 19);
+    return `${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+  }
+
+  function awayDuration(ms) {
+    return ms < 60000 ? `${(ms / 1000).toFixed(1)}s` : msToClock(ms);
+  }
+
+  // Result-screen timeline: a track over the run's span + the latest episodes.
+  function renderAwayLog(root, log, { startMs, endMs, pending = false } = {}) {
+    if (!log) {
+      root.innerHTML = `<div class="muted">${pending ? "Recording. The timeline shows up when the run ends." : "No away log for this run."}</div>`;
+      return;
+    }
+    if (!log.length) {
+      root.innerHTML = `<div class="muted">Never left the tab. Not once.</div>`;
+      return;
+    }
+
+    const totalMs = log.reduce((n, e) => n + (e.outcome === "ignored" ? 0 : e.ms), 0);
+    const broken = log.filter(e => isAwayRuleBreak(e.outcome)).length;
+    const span = endMs - startMs;
+
+    const segs = span > 0 ? log.map(e => {
+      const left = clamp((Date.parse(e.at) - startMs) / span, 0, 1) * 100;
+      const width = clamp(Math.max(e.ms / span * 100, 0.6), 0, 100 - left);
+      return `<div class="away-seg ${escapeAttr(e.outcome)}" style="left:${left.toFixed(2)}%;width:${width.toFixed(2)}%"></div>`;
+    }).join("") : "";
+
+    const rows = log.slice(-20).reverse().map(e => `
+      <div class="away-row">
+        <span class="mono">${escapeHTML(awayClock(e.at))}</span>
+        <span class="mono">${escapeHTML(awayDuration(e.ms))}</span>
+        <span class="muted">${e.source === "blur" ? "window blur" : "tab hidden"}</span>
+        <span class="away-outcome ${escapeAttr(e.outcome)}">${escapeHTML(AWAY_OUTCOME_LABELS[e.outcome] || e.outcome)}</span>
+      </div>
+    `).join("");
+
+    root.innerHTML = `
+      <div class="away-sum">${escapeHTML(`${awayCount(log)} away • ${awayDuration(totalMs)} total • ${broken} broke the rule`)}</div>
+      ${segs ? `<div class="away-track">${segs}</div>` : ""}
+      <div class="away-rows">${rows}</div>
+      ${log.length > 20 ? `<div class="hint">Latest 20 of ${log.length}.</div>` : ""}
+    `;
+  }
+
+  function initVisibilityWatcher() {
+    function checkBack() {
+      const rule = Visibility.activeRule;
+      if (!rule || !rule.awayStart) return;
+      cancelAwayWarning();
       const awayMs = Date.now() - rule.awayStart;
+      const outcome = judgeAway(rule, awayMs);
+      logAwayEpisode(rule, awayMs, outcome);
       rule.awayStart = null;
-      if (awayMs >= rule.thresholdMs) rule.onTrigger({ awayMs });
+      rule.awaySource = null;
+      if (outcome !== "ignored" && outcome !== "forgiven") rule.onTrigger({ awayMs, reason: outcome });
     }
 
     document.addEventListener("visibilitychange", () => {
       const rule = Visibility.activeRule;
       if (!rule) return;
-      if (document.hidden) rule.awayStart = Date.now();
-      else checkBack();
+      if (document.hidden) {
+        rule.awayStart = Date.now();
+        rule.awaySource = "visibilitychange";
+        scheduleAwayWarning();
+      } else checkBack();
     });
 
     window.addEventListener("blur", () => {
       const rule = Visibility.activeRule;
       if (!rule) return;
-      if (!rule.awayStart) rule.awayStart = Date.now();
+      if (!rule.awayStart) {
+        rule.awayStart = Date.now();
+        rule.awaySource = "blur";
+        scheduleAwayWarning();
+      }
     });
 
     window.addEventListener("focus", checkBack);
   }
 
+  // -----------------------------
+  // Wall-clock timer (shared by all timed modes)
+  // -----------------------------
+  // Remaining time is derived from an anchor, never decremented per tick:
+  // background tabs throttle setInterval, so tick counts drift.
+  function monoNow() {
+    return window.performance && performance.now ? performance.now() : Date.now();
+  }
+
+  function createTimer({ totalMs, remainingMs = totalMs, tickMs = 250, onTick, onDone }) {
+    const t = {
+      totalMs,
+      baseMs: clamp(remainingMs, 0, totalMs), // remaining at the anchor
+      anchorMono: 0,
+      anchorWall: 0,
+      running: false,
+      done: false,
+      handle: null,
+      lastSec: null
+    };
+
+    function elapsedSinceAnchor() {
+      const mono = monoNow() - t.anchorMono;
+      const wall = Date.now() - t.anchorWall;
+      // Some platforms stop the monotonic clock while the device sleeps.
+      // Trust the wall clock then, but never when it jumped backwards.
+      return wall > mono + 2000 ? wall : mono;
+    }
+
+    function remaining() {
+      if (!t.running) return t.baseMs;
+      return clamp(t.baseMs - elapsedSinceAnchor(), 0, t.totalMs);
+    }
+
+    function anchor() {
+      t.anchorMono = monoNow();
+      t.anchorWall = Date.now();
+    }
+
+    function tick() {
+      const ms = remaining();
+      const sec = Math.ceil(ms / 1000);
+      if (sec !== t.lastSec) {
+        t.lastSec = sec;
+        if (onTick) onTick(ms);
+      }
+      if (ms <= 0 && !t.done) {
+        t.done = true;
+        stop();
+        if (onDone) onDone();
+      }
+    }
+
+    function start() {
+      if (t.running || t.done) return;
+      anchor();
+      t.running = true;
+      t.handle = setInterval(tick, tickMs);
+      tick();
+    }
+
+    function pause() {
+      if (!t.running) return;
+      t.baseMs = remaining();
+      t.running = false;
+      clearInterval(t.handle);
+      t.handle = null;
+    }
+
+    function stop() {
+      pause();
+    }
+
+    // Heal (+) or penalty (-): shifts the remaining time, clamped to [0, total].
+    function adjust(deltaMs) {
+      t.baseMs = clamp(remaining() + deltaMs, 0, t.totalMs);
+      if (t.running) anchor();
+      t.lastSec = null;
+      if (t.running) tick();
+    }
+
+    return {
+      start,
+      pause,
+      resume: start,
+      stop,
+      adjust,
+      remaining,
+      isRunning: () => t.running
+    };
+  }
+
+  // -----------------------------
+  // Alerts: session end, halfway, away warning
+  // -----------------------------
+  // What fires (end, halfway, away) and how (notify, sound, flash) are both
+  // opt-outs in Settings; notifications also need the browser's permission.
+  // Notifications and title flashing only happen while the page isn't in front.
+  const ALERT_DEFAULTS = { end: true, halfway: true, away: true, notify: false, sound: false, flash: true };
+  const ALERT_EVENTS = [
+    { key: "end", label: "Session end" },
+    { key: "halfway", label: "Halfway" },
+    { key: "away", label: "Away warning" }
+  ];
+  const ALERT_CHANNELS = [
+    { key: "notify", label: "Notification" },
+    { key: "sound", label: "Sound" },
+    { key: "flash", label: "Flash tab title" }
+  ];
+  const AWAY_WARN_LEAD_MS = 5000;
+  const ALERT_TONES = {
+    end: [[523, 0.14], [659, 0.14], [784, 0.32]],
+    halfway: [[659, 0.16], [523, 0.24]],
+    away: [[880, 0.1], [0, 0.08], [880, 0.1], [0, 0.08], [880, 0.18]]
+  };
+
+  const Alerts = {
+    audio: null,
+    flashHandle: null,
+    baseTitle: null,
+    awayHandle: null,
+    halfwayArmed: null, // run key seen above halfway
+    halfwayFired: null // run key already alerted
+  };
+
+  function getAlertSettings() {
+    return { ...ALERT_DEFAULTS, ...loadJSON(LS.alerts, {}) };
+  }
+
+  function setAlertSetting(key, on) {
+    saveJSON(LS.alerts, { ...getAlertSettings(), [key]: !!on });
+  }
+
+  function notificationsSupported() {
+    return "Notification" in window;
+  }
+
+  function pageInFront() {
+    return !document.hidden && document.hasFocus();
+  }
+
+  // Browsers only let audio start after a user gesture, so the context is
+  // created (or resumed) on the first click or key press.
+  function primeAlertAudio() {
+    if (!getAlertSettings().sound) return;
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    try {
+      if (!Alerts.audio) Alerts.audio = new Ctx();
+      if (Alerts.audio.state === "suspended") Alerts.audio.resume();
+    } catch (e) {
+      console.warn("audio unavailable", e);
+    }
+  }
+
+  function playAlertTone(kind) {
+    const ctx = Alerts.audio;
+    if (!ctx || ctx.state !== "running") return;
+    let at = ctx.currentTime + 0.02;
+    (ALERT_TONES[kind] || ALERT_TONES.end).forEach(([hz, sec]) => {
+      if (hz) {
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = "sine";
+        osc.frequency.value = hz;
+        gain.gain.setValueAtTime(0.0001, at);
+        gain.gain.exponentialRampToValueAtTime(0.2, at + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, at + sec);
+        osc.connect(gain).connect(ctx.destination);
+        osc.start(at);
+        osc.stop(at + sec + 0.02);
+      }
+      at += sec;
+    });
+  }
+
+  function showAlertNotification(title, body) {
+    if (!notificationsSupported() || Notification.permission !== "granted") return;
+    try {
+      const n = new Notification(title, { body, tag: "yve-alert" });
+      n.onclick = () => {
+        window.focus();
+        n.close();
+      };
+    } catch (e) {
+      // Some mobile browsers only allow notifications from a service worker.
+      console.warn("notification failed", e);
+    }
+  }
+
+  function flashTitle(text) {
+    stopTitleFlash();
+    Alerts.baseTitle = document.title;
+    let on = false;
+    Alerts.flashHandle = setInterval(() => {
+      on = !on;
+      document.title = on ? `⚠ ${text}` : Alerts.baseTitle;
+    }, 1000);
+    document.title = `⚠ ${text}`;
+  }
+
+  function stopTitleFlash() {
+    if (!Alerts.flashHandle) return;
+    clearInterval(Alerts.flashHandle);
+    Alerts.flashHandle = null;
+    document.title = Alerts.baseTitle;
+  }
+
+  // kind: 'end' | 'halfway' | 'away'
+  function fireAlert(kind, title, body) {
+    const s = getAlertSettings();
+    if (!s[kind]) return;
+    if (s.sound) playAlertTone(kind);
+    if (pageInFront()) {
+      // End results have their own toasts; the others would go unseen otherwise.
+      if (kind !== "end") toast(title, body);
+      return;
+    }
+    if (s.notify) showAlertNotification(title, body);
+    if (s.flash) flashTitle(title);
+  }
+
+  // Called from a timer's onTick. A run resumed past the halfway mark stays quiet.
+  function alertHalfway(key, ms, totalMs, body) {
+    if (Alerts.halfwayFired === key) return;
+    if (ms > totalMs / 2) {
+      Alerts.halfwayArmed = key;
+      return;
+    }
+    if (Alerts.halfwayArmed !== key) return;
+    Alerts.halfwayFired = key;
+    fireAlert("halfway", "Halfway there", body);
+  }
+
+  // How long this absence can last before checkBack() breaks the rule.
+  function awayDeadlineMs(rule) {
+    const budgetLeft = rule.awayBudgetMs - rule.awayTotalMs;
+    const slipsLeft = rule.shortCount < rule.shortForgiven;
+    return Math.max(0, Math.min(rule.thresholdMs, budgetLeft, slipsLeft ? Infinity : MIN_COUNTED_AWAY_MS));
+  }
+
+  function scheduleAwayWarning() {
+    cancelAwayWarning();
+    const rule = Visibility.activeRule;
+    if (!rule || !rule.awayStart) return;
+    const deadline = rule.awayStart + awayDeadlineMs(rule);
+    const wait = Math.max(0, deadline - AWAY_WARN_LEAD_MS - Date.now());
+    Alerts.awayHandle = setTimeout(() => {
+      Alerts.awayHandle = null;
+      if (Visibility.activeRule !== rule || !rule.awayStart) return;
+      const secs = Math.max(1, Math.ceil((deadline - Date.now()) / 1000));
+      fireAlert("away", "Come back", `You have ${secs} second${secs === 1 ? "" : "s"} left to come back.`);
+    }, wait);
+  }
+
+  function cancelAwayWarning() {
+    clearTimeout(Alerts.awayHandle);
+    Alerts.awayHandle = null;
+  }
+
+  async function requestNotificationPermission() {
+    if (!notificationsSupported()) {
+      toast("Alerts", "This browser doesn’t support notifications.");
+      return false;
+    }
+    if (Notification.permission === "granted") return true;
+    if (Notification.permission === "denied") {
+      toast("Alerts", "Notifications are blocked for this site. Allow them in your browser settings.");
+      return false;
+    }
+    const res = await Notification.requestPermission();
+    if (res !== "granted") toast("Alerts", "Notifications not allowed. Sound and title flashing still work.");
+    return res === "granted";
+  }
+
+  function initAlerts() {
+    document.addEventListener("pointerdown", primeAlertAudio, true);
+    document.addEventListener("keydown", primeAlertAudio, true);
+    const back = () => { if (pageInFront()) stopTitleFlash(); };
+    document.addEventListener("visibilitychange", back);
+    window.addEventListener("focus", back);
+  }
+
   // -----------------------------
   // Mode 1: 24h Challenge
   // -----------------------------
@@ -915,14 +3052,19 @@
     const c = getTodaysChallenge();
     $("#challengeTitle").textContent = c.title;
     $("#challengeDesc").textContent = c.desc;
+    $("#challengeMeta").textContent = [
+      c.category,
+      c.difficulty,
+      c.durationMin ? `${c.durationMin} min` : null
+    ].filter(Boolean).join(" • ");
     $("#shareChallengeName").textContent = c.title;
 
     const st = getTodayChallengeState();
     $("#challengeStatusBig").textContent = stateLabel(st.state);
     $("#challengeStatusSub").textContent =
       st.state === "not_started" ? "Press “Join Challenge” to begin."
-      : st.state === "in_progress" ? "Run active. Leave 15+ seconds → fail."
-      : st.state === "completed" ? "Completed. Return tomorrow (UTC) for the next one."
+      : st.state === "in_progress" ? `Run active. ${leaveRuleTag(st.rule)} rule → fail.`
+      : st.state === "completed" ? `Completed. Return tomorrow (${dayFrameLabel()}) for the next one.`
       : "Failed. Return tomorrow. No excuses (but yes, rest).";
 
     $("#joinChallengeBtn").disabled = (st.state === "in_progress" || st.state === "completed");
@@ -930,34 +3072,48 @@
     $("#failChallengeBtn").disabled = (st.state !== "in_progress");
 
     const shareEnabled = (st.state === "completed" || st.state === "failed");
-    $("#copyShare1").disabled = !shareEnabled;
-    $("#downloadShare1").disabled = !shareEnabled;
+    setShareEnabled(1, shareEnabled);
 
     $("#shareResult1").textContent =
       st.state === "completed" ? "COMPLETED ✅" :
       st.state === "failed" ? "FAILED ❌" :
       "—";
+    $("#shareRule1").textContent = st.rule ? leaveRuleTag(st.rule) : "—";
+    const note = st.state === "completed" ? journalCardNote(st.dayKey) : null;
+    $("#shareNoteLine1").hidden = !note;
+    $("#shareNote1").textContent = note || "";
+    $("#journalEntryBtn").disabled = st.state !== "completed";
+    $("#journalEntryBtn").textContent = getJournalEntry(st.dayKey) ? "Edit note / photo" : "Add note / photo";
+    renderAwayLog($("#challengeAwayLog"), shareEnabled ? st.awayLog : null, {
+      startMs: st.startedAt,
+      endMs: st.resultAt,
+      pending: st.state === "in_progress"
+    });
 
-    // countdown to next UTC midnight
-    if (resetTimer) clearInterval(resetTimer);
-    resetTimer = setInterval(() => {
-      const ms = nextUtcMidnight().getTime() - Date.now();
-      $("#resetCountdown").textContent = msToResetCountdown(ms);
-      if (ms <= 0) {
-        clearInterval(resetTimer);
+    // countdown to the next personal midnight (UTC or local)
+    if (resetTimer) resetTimer.stop();
+    const untilMs = nextUserMidnight().getTime() - Date.now();
+    resetTimer = createTimer({
+      totalMs: untilMs,
+      onTick: (ms) => {
+        $("#resetCountdown").textContent = msToResetCountdown(ms);
+      },
+      onDone: () => {
         resetTimer = null;
         renderHub();
         renderChallenge24();
       }
-    }, 250);
+    });
+    resetTimer.start();
   }
 
   function joinChallenge() {
     const c = getTodaysChallenge();
+    const rule = getLeaveRule("challenge24");
     openModal({
       title: "Rule check",
       body: `
-        <p><b>Leaving this tab for 15+ seconds will fail the run.</b></p>
+        ${leaveRuleCheckHTML(rule, "fails the run")}
         <p>Local-only in Anonymous. In Auth mode, the result is saved to DB.</p>
       `,
       actions: [
@@ -972,22 +3128,23 @@
               state: "in_progress",
               startedAt: Date.now(),
               challengeId: c.id,
-              resultAt: null
+              resultAt: null,
+              rule: rule.id,
+              awayLog: null
             });
 
             // DB
             await dbUpsertDailyRun({
               status: "in_progress",
               challengeId: c.id,
-              startedAtISO: new Date().toISOString()
+              startedAtISO: new Date().toISOString(),
+              leaveRule: rule.id
             });
 
             startLeaveRule({
               type: "challenge24",
-              thresholdMs: 15000,
-              onTrigger: ({ awayMs }) => {
-                failChallenge(`Left for ${Math.floor(awayMs / 1000)}s (15s rule).`);
-              }
+              preset: rule.id,
+              onTrigger: (e) => failChallenge(leaveRuleReason(rule, e))
             });
 
             toast("24h Challenge", "Run started. Don’t leave.");
@@ -1012,13 +3169,13 @@
     const st = getTodayChallengeState();
     if (st.state !== "in_progress") return;
 
-    stopLeaveRule();
+    const awayLog = stopLeaveRule();
 
-    const today = utcDayKey();
+    const today = userDayKey();
     const last = localStorage.getItem(LS.lastStreakDay);
 
-    let streak = getStreak();
-    if (last !== today) {
+    let streak = getLocalStreak();
+    if (!isAuthActive() && last !== today) {
       if (last) {
         const lastDate = new Date(last + "T00:00:00Z");
         const todayDate = new Date(today + "T00:00:00Z");
@@ -1032,14 +3189,17 @@
       localStorage.setItem(LS.lastStreakDay, today);
     }
 
-    setTodayChallengeState({ state: "completed", resultAt: Date.now() });
+    setTodayChallengeState({ state: "completed", resultAt: Date.now(), awayLog });
 
     await dbUpsertDailyRun({
       status: "completed",
       challengeId: st.challengeId,
       startedAtISO: st.startedAt ? new Date(st.startedAt).toISOString() : null,
-      endedAtISO: new Date().toISOString()
+      endedAtISO: new Date().toISOString(),
+      leaveRule: st.rule,
+      awayLog
     });
+    await syncStreakFromDb();
 
     bumpText($("#streakBig"));
     bumpText($("#shareStreak1"));
@@ -1047,21 +3207,24 @@
     toast("Result", "COMPLETED ✅. See you tomorrow.");
     renderChallenge24();
     renderHub();
+    openJournalModal(today);
   }
 
   async function failChallenge(reason = "Failed.") {
     const st = getTodayChallengeState();
     if (st.state !== "in_progress") return;
 
-    stopLeaveRule();
-    setTodayChallengeState({ state: "failed", resultAt: Date.now() });
+    const awayLog = stopLeaveRule();
+    setTodayChallengeState({ state: "failed", resultAt: Date.now(), awayLog });
 
     await dbUpsertDailyRun({
       status: "failed",
       challengeId: st.challengeId,
       startedAtISO: st.startedAt ? new Date(st.startedAt).toISOString() : null,
       endedAtISO: new Date().toISOString(),
-      failReason: reason
+      failReason: reason,
+      leaveRule: st.rule,
+      awayLog
     });
 
     toast("Run failed", reason);
@@ -1070,17 +3233,431 @@
     renderHub();
   }
 
+  // -----------------------------
+  // 24h Challenge: journal (note + photo per completed day)
+  // -----------------------------
+  // Anonymous: LS.journal. Auth: the journal_entries table, cached in
+  // LS.authJournal and written through the outbox. Photos are resized here
+  // and kept in IndexedDB on this device; Auth mode also uploads them to the
+  // journal bucket (<user id>/<day>.jpg) so other devices can show them.
+  const JOURNAL_NOTE_MAX = 280;
+  const JOURNAL_PHOTO_MAX_PX = 1280; // longest side
+  const JOURNAL_PHOTO_QUALITY = 0.82;
+  const JOURNAL_BUCKET = "journal";
+  const PHOTO_DB = "yve_photos";
+  const PHOTO_STORE = "photos"; // Blob by "<owner>:<dayKey>", owner = user id or "anon"
+
+  const Journal = {
+    day: null,         // day shown on the journal screen
+    photoUrls: new Map(), // photo key -> object URL / signed URL
+    loadSeq: 0
+  };
+
+  function getJournal() {
+    if (isAuthActive()) {
+      const cache = loadJSON(LS.authJournal, null);
+      return cache && cache.userId === authUser.id && cache.entries ? cache.entries : {};
+    }
+    return loadJSON(LS.journal, {});
+  }
+
+  function getJournalEntry(dayKey) {
+    return getJournal()[dayKey] || null;
+  }
+
+  function saveJournalEntry(entry) {
+    const all = { ...getJournal(), [entry.dayKey]: entry };
+    if (isAuthActive()) {
+      saveJSON(LS.authJournal, { userId: authUser.id, entries: all, syncedAt: loadJSON(LS.authJournal, null)?.syncedAt || null });
+      dbUpsertJournalEntry(entry);
+    } else {
+      saveJSON(LS.journal, all);
+    }
+  }
+
+  function photoKey(dayKey) {
+    return `${isAuthActive() ? authUser.id : "anon"}:${dayKey}`;
+  }
+
+  let photoDbOpen = null;
+  function openPhotoDb() {
+    if (!photoDbOpen) {
+      photoDbOpen = new Promise((resolve, reject) => {
+        if (!window.indexedDB) return reject(new Error("IndexedDB unavailable"));
+        const req = indexedDB.open(PHOTO_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(PHOTO_STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return photoDbOpen;
+  }
+
+  // Resolves to the request's result, or null when the store isn't usable.
+  async function photoStore(mode, op) {
+    try {
+      const db = await openPhotoDb();
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(PHOTO_STORE, mode);
+        const req = op(tx.objectStore(PHOTO_STORE));
+        tx.oncomplete = () => resolve(req.result === undefined ? true : req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    } catch (e) {
+      console.warn("Photo store failed", e);
+      return null;
+    }
+  }
+
+  const photoGet = (key) => photoStore("readonly", s => s.get(key));
+  const photoPut = (key, blob) => photoStore("readwrite", s => s.put(blob, key));
+  const photoDelete = (key) => photoStore("readwrite", s => s.delete(key));
+
+  // JPEG, longest side at most JOURNAL_PHOTO_MAX_PX. Rejects on non-images.
+  async function resizePhoto(file) {
+    const url = URL.createObjectURL(file);
+    try {
+      const img = await new Promise((resolve, reject) => {
+        const el = new Image();
+        el.onload = () => resolve(el);
+        el.onerror = () => reject(new Error("not an image"));
+        el.src = url;
+      });
+      const scale = Math.min(1, JOURNAL_PHOTO_MAX_PX / Math.max(img.naturalWidth, img.naturalHeight));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/jpeg", JOURNAL_PHOTO_QUALITY));
+      if (!blob) throw new Error("canvas export failed");
+      return blob;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  // Auth mode: returns the bucket path, or null (the photo stays local; syncJournalFromDb retries).
+  async function uploadJournalPhoto(dayKey, blob) {
+    if (!isAuthActive() || !supabase) return null;
+    const path = `${authUser.id}/${dayKey}.jpg`;
+    try {
+      const { error } = await supabase.storage.from(JOURNAL_BUCKET).upload(path, blob, { contentType: "image/jpeg", upsert: true });
+      if (error) throw error;
+      return path;
+    } catch (e) {
+      console.warn("Journal photo upload failed", e);
+      return null;
+    }
+  }
+
+  async function removeJournalPhoto(entry) {
+    await photoDelete(photoKey(entry.dayKey));
+    forgetJournalPhotoUrl(entry.dayKey);
+    if (!entry.photoPath || !isAuthActive() || !supabase) return;
+    try {
+      const { error } = await supabase.storage.from(JOURNAL_BUCKET).remove([entry.photoPath]);
+      if (error) throw error;
+    } catch (e) {
+      console.warn("Journal photo delete failed", e);
+    }
+  }
+
+  function forgetJournalPhotoUrl(dayKey) {
+    const key = photoKey(dayKey);
+    const url = Journal.photoUrls.get(key);
+    if (url && url.startsWith("blob:")) URL.revokeObjectURL(url);
+    Journal.photoUrls.delete(key);
+  }
+
+  // This device's copy first, then the bucket (Auth mode, signed for an hour).
+  async function journalPhotoUrl(entry) {
+    if (!entry || !entry.photo) return null;
+    const key = photoKey(entry.dayKey);
+    if (Journal.photoUrls.has(key)) return Journal.photoUrls.get(key);
+
+    let url = null;
+    const blob = await photoGet(key);
+    if (blob instanceof Blob) {
+      url = URL.createObjectURL(blob);
+    } else if (entry.photoPath && isAuthActive() && supabase) {
+      try {
+        const { data, error } = await supabase.storage.from(JOURNAL_BUCKET).createSignedUrl(entry.photoPath, 3600);
+        if (error) throw error;
+        url = data.signedUrl;
+      } catch (e) {
+        console.warn("Journal photo URL failed", e);
+      }
+    }
+    if (url) Journal.photoUrls.set(key, url);
+    return url;
+  }
+
+  // Note on the share card: only when asked for, one line the template engine fits.
+  function journalCardNote(dayKey) {
+    const e = getJournalEntry(dayKey);
+    return e && e.onCard && e.note ? e.note.replace(/\s+/g, " ") : null;
+  }
+
+  function openJournalModal(dayKey = userDayKey()) {
+    const cur = getJournalEntry(dayKey);
+    const draft = { blob: null, removed: false };
+    const c = getChallengeById(cur ? cur.challengeId : pickChallengeIdForDay(dayKey));
+
+    openModal({
+      title: cur ? "Edit journal entry" : "Proof + note",
+      body: `
+        <p class="muted">${escapeHTML(dayKey)} • ${escapeHTML(c.title)}. Both are optional, and only you see them unless the note goes on your share card.</p>
+        <label class="field">
+          <span class="field-label">What did you do? How did it feel?</span>
+          <textarea class="input" id="journalNote" rows="4" maxlength="${JOURNAL_NOTE_MAX}" placeholder="e.g., Cleared 40 old files. Weirdly calming.">${escapeHTML(cur ? cur.note : "")}</textarea>
+        </label>
+        <div class="field">
+          <span class="field-label">Photo</span>
+          <img class="journal-photo" id="journalPreview" alt="" hidden />
+          <div class="panel-actions" style="margin-top:0">
+            <button class="btn" type="button" id="journalPhotoBtn">${cur && cur.photo ? "Replace photo…" : "Add photo…"}</button>
+            <button class="btn ghost" type="button" id="journalPhotoRemove"${cur && cur.photo ? "" : " hidden"}>Remove photo</button>
+            <input type="file" id="journalPhotoFile" accept="image/*" hidden />
+          </div>
+          <div class="hint">Resized to ${JOURNAL_PHOTO_MAX_PX}px and kept on this device${isAuthActive() ? ", plus a copy in your account" : ""}.</div>
+        </div>
+        <label class="check">
+          <input type="checkbox" id="journalOnCard"${cur && cur.onCard ? " checked" : ""} />
+          <span>Show the note on my share card</span>
+        </label>
+      `,
+      actions: [
+        { label: "Skip", variant: "ghost", onClick: () => closeModal() },
+        { label: "Save", variant: "primary", onClick: () => saveJournalFromModal(dayKey, c.id, draft) }
+      ]
+    });
+
+    const preview = $("#journalPreview");
+    const showPreview = (url) => {
+      preview.hidden = !url;
+      if (url) preview.src = url;
+    };
+    if (cur) journalPhotoUrl(cur).then(url => { if (!draft.blob && !draft.removed) showPreview(url); });
+
+    $("#journalPhotoBtn").addEventListener("click", () => $("#journalPhotoFile").click());
+    $("#journalPhotoFile").addEventListener("change", async (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (!file) return;
+      try {
+        draft.blob = await resizePhoto(file);
+        draft.removed = false;
+        showPreview(URL.createObjectURL(draft.blob));
+        $("#journalPhotoRemove").hidden = false;
+      } catch (err) {
+        console.warn("Photo resize failed", err);
+        toast("Photo", "That file couldn’t be read as an image.");
+      }
+    });
+    $("#journalPhotoRemove").addEventListener("click", () => {
+      draft.blob = null;
+      draft.removed = true;
+      showPreview(null);
+      $("#journalPhotoRemove").hidden = true;
+    });
+  }
+
+  async function saveJournalFromModal(dayKey, challengeId, draft) {
+    const note = $("#journalNote").value.trim().slice(0, JOURNAL_NOTE_MAX);
+    const onCard = $("#journalOnCard").checked;
+    const cur = getJournalEntry(dayKey);
+    closeModal();
+
+    const entry = {
+      dayKey,
+      challengeId,
+      note,
+      onCard,
+      photo: cur ? cur.photo : false,
+      photoPath: cur ? cur.photoPath : null,
+      updatedAt: new Date().toISOString()
+    };
+
+    if (draft.removed && cur && cur.photo) {
+      await removeJournalPhoto(cur);
+      Object.assign(entry, { photo: false, photoPath: null });
+    }
+    if (draft.blob) {
+      forgetJournalPhotoUrl(dayKey);
+      const stored = await photoPut(photoKey(dayKey), draft.blob);
+      const path = await uploadJournalPhoto(dayKey, draft.blob);
+      if (!stored && !path) toast("Photo", "Couldn’t store the photo on this device.");
+      Object.assign(entry, { photo: !!(stored || path), photoPath: path });
+    }
+
+    if (!entry.note && !entry.photo && !cur) return;
+    saveJournalEntry(entry);
+    toast("Journal", `Saved for ${dayKey}.`);
+    if ($("#screenChallenge24").classList.contains("active")) renderChallenge24();
+    if ($("#screenJournal").classList.contains("active")) renderJournal();
+  }
+
+  // Auth mode: rows from journal_entries; entries still in the outbox keep the
+  // local version. Photos that never reached the bucket are uploaded again.
+  async function syncJournalFromDb() {
+    if (!isAuthActive() || !supabase) return false;
+    const { data, error } = await selectAllRows(() => supabase
+      .from("journal_entries")
+      .select("day_utc, challenge_id, note, photo_path, on_card, updated_at")
+      .eq("user_id", authUser.id)
+      .order("day_utc"));
+    if (error) {
+      console.warn("journal_entries select failed", error);
+      return false;
+    }
+
+    const local = getJournal();
+    const entries = {};
+    (data || []).forEach(r => {
+      entries[r.day_utc] = {
+        dayKey: r.day_utc,
+        challengeId: r.challenge_id,
+        note: r.note || "",
+        onCard: !!r.on_card,
+        photo: !!r.photo_path || !!local[r.day_utc]?.photo,
+        photoPath: r.photo_path || null,
+        updatedAt: r.updated_at
+      };
+    });
+    const pending = new Set(outboxPendingFor(authUser.id).filter(e => e.table === "journal_entries").map(e => e.payload.day_utc));
+    Object.values(local).forEach(e => { if (pending.has(e.dayKey) || !entries[e.dayKey]) entries[e.dayKey] = e; });
+    saveJSON(LS.authJournal, { userId: authUser.id, entries, syncedAt: new Date().toISOString() });
+
+    for (const e of Object.values(entries)) {
+      if (!e.photo || e.photoPath) continue;
+      const blob = await photoGet(photoKey(e.dayKey));
+      const path = blob instanceof Blob ? await uploadJournalPhoto(e.dayKey, blob) : null;
+      if (path) saveJournalEntry({ ...e, photoPath: path });
+    }
+    return true;
+  }
+
+  // -----------------------------
+  // Journal screen (#/journal?day=YYYY-MM-DD)
+  // -----------------------------
+  function journalDays() {
+    return Object.values(getJournal())
+      .filter(e => e && isDayKey(e.dayKey) && (e.note || e.photo))
+      .map(e => e.dayKey)
+      .sort()
+      .reverse();
+  }
+
+  function enterJournal(params) {
+    const day = params.get("day");
+    Journal.day = isDayKey(day) ? day : null;
+    renderJournal();
+    const seq = ++Journal.loadSeq;
+    syncJournalFromDb().then(ok => {
+      if (ok && seq === Journal.loadSeq && $("#screenJournal").classList.contains("active")) renderJournal();
+    });
+  }
+
+  function renderJournal() {
+    const days = journalDays();
+    const day = days.includes(Journal.day) ? Journal.day : days[0] || null;
+    $("#journalCount").textContent = String(days.length);
+
+    $("#journalDays").innerHTML = days.map(d =>
+      `<button class="seg-btn${d === day ? " active" : ""}" type="button" data-journal-day="${escapeAttr(d)}">${escapeHTML(d.slice(5))}</button>`
+    ).join("");
+
+    const root = $("#journalEntry");
+    const i = days.indexOf(day);
+    $("#journalOlderBtn").disabled = i < 0 || i >= days.length - 1;
+    $("#journalNewerBtn").disabled = i <= 0;
+    $("#journalEditBtn").disabled = !day;
+    $("#journalEditBtn").setAttribute("data-day", day || "");
+    if (!day) {
+      root.innerHTML = `<div class="muted">No entries yet. Complete a daily challenge and add a note or photo.</div>`;
+      return;
+    }
+
+    const e = getJournalEntry(day);
+    const c = getChallengeById(e.challengeId);
+    root.innerHTML = `
+      <div class="panel-label mono">${escapeHTML(day)}</div>
+      <div class="status-big">${escapeHTML(c.title)}</div>
+      ${e.note ? `<p class="journal-note">${escapeHTML(e.note)}</p>` : `<div class="muted">No note.</div>`}
+      ${e.onCard && e.note ? `<div class="hint">Shown on the share card.</div>` : ""}
+      <img class="journal-photo" id="journalPhoto" alt="Proof photo for ${escapeAttr(day)}" hidden />
+    `;
+    journalPhotoUrl(e).then(url => {
+      const img = $("#journalPhoto");
+      if (!url || !img || $("#journalEditBtn").getAttribute("data-day") !== day) return;
+      img.src = url;
+      img.hidden = false;
+    });
+  }
+
+  function journalStep(dir) {
+    const days = journalDays();
+    const i = days.indexOf($("#journalEditBtn").getAttribute("data-day"));
+    const next = days[i + dir];
+    if (next) navigate(`#/journal?day=${next}`);
+  }
+
   // -----------------------------
   // Mode 2: Procrastination Boss Fight
   // -----------------------------
+  // Roster: one boss per UTC day, the same for everyone (todaySeed("boss")).
+  // HP is the remaining time. healFrac: heal per broken leave rule.
+  // enrage: below BOSS_ENRAGE_FRAC HP, heals are multiplied.
+  // shields: HP fractions where the boss stops taking damage until you hold
+  // shieldStreakMs of unbroken focus (any counted absence restarts it).
+  const BOSS_ENRAGE_FRAC = 0.25;
+  const BOSS_ROSTER = [
+    { id: "procrastination", name: "The Procrastination", healFrac: 0.20, enrage: null, shields: [], shieldStreakMs: 0 },
+    { id: "doomscroll", name: "Doomscroll Hydra", healFrac: 0.15, enrage: { healMult: 2 }, shields: [], shieldStreakMs: 0 },
+    { id: "inbox", name: "The Inbox Golem", healFrac: 0.10, enrage: null, shields: [0.5], shieldStreakMs: 90 * 1000 },
+    { id: "notifications", name: "Notification Swarm", healFrac: 0.25, enrage: { healMult: 1.5 }, shields: [], shieldStreakMs: 0 },
+    { id: "perfectionism", name: "Perfectionism Wraith", healFrac: 0.15, enrage: { healMult: 1.5 }, shields: [0.66, 0.33], shieldStreakMs: 60 * 1000 }
+  ];
+
+  function getBossById(id) {
+    return BOSS_ROSTER.find(b => b.id === id) || null;
+  }
+
+  function dailyBoss() {
+    return BOSS_ROSTER[todaySeed("boss") % BOSS_ROSTER.length];
+  }
+
+  function bossHealPct(b, enraged = false) {
+    return Math.round(b.healFrac * (enraged && b.enrage ? b.enrage.healMult : 1) * 100);
+  }
+
+  // "Heals 15% • Enrages below 25% HP (heals ×2) • Shields at 66% / 33% HP (60s focus)"
+  function describeBoss(b) {
+    const parts = [`Heals ${bossHealPct(b)}%`];
+    if (b.enrage) parts.push(`Enrages below ${BOSS_ENRAGE_FRAC * 100}% HP (heals ×${b.enrage.healMult})`);
+    if (b.shields.length) {
+      parts.push(`Shield${b.shields.length === 1 ? "" : "s"} at ${b.shields.map(f => `${Math.round(f * 100)}%`).join(" / ")} HP (${b.shieldStreakMs / 1000}s focus)`);
+    }
+    return parts.join(" • ");
+  }
+
   const Boss = {
     running: false,
     totalMs: minutesToMs(25),
     remainingMs: minutesToMs(25),
     startISO: null,
-    tick: null,
+    runId: null,
+    timer: null,
     selectedMin: 25,
-    task: ""
+    task: "",
+    heals: 0,
+    rule: "standard",
+    awayLog: null,
+    endedAt: null,
+    boss: null,        // roster entry; idle screens show today's
+    shieldsRaised: 0,  // shields already used this fight
+    shield: null,      // raised shield: {streakFrom, seen, handle}
+    enraged: false
   };
 
   function bossSetDuration(min) {
@@ -1119,18 +3696,88 @@
     setBossHp(Boss.remainingMs / Boss.totalMs);
   }
 
-  function bossStart() {
-    const task = ($("#bossTask").value || "").trim();
-    if (!task) {
-      toast("Boss Fight", "Name the task. It makes the fight real.");
+  function renderBossArt() {
+    const b = Boss.running ? Boss.boss : dailyBoss();
+    const v = $("#bossVisual");
+    v.setAttribute("data-boss", b.id);
+    v.classList.toggle("enraged", Boss.running && Boss.enraged);
+    v.classList.toggle("shielded", Boss.running && !!Boss.shield);
+    $("#bossTitle").textContent = b.name;
+    $("#bossMechanics").textContent = describeBoss(b);
+  }
+
+  // Runs on every tick: shield thresholds and the enrage phase.
+  function bossCheckPhases() {
+    const b = Boss.boss;
+    const frac = Boss.remainingMs / Boss.totalMs;
+    const next = b.shields[Boss.shieldsRaised];
+    if (!Boss.shield && next !== undefined && frac <= next && Boss.remainingMs > 0) {
+      Boss.shieldsRaised += 1;
+      bossRaiseShield();
+      toast("Shield up", `${b.name} is shielded. ${b.shieldStreakMs / 1000}s of unbroken focus breaks it.`);
+    }
+
+    const enraged = !!b.enrage && frac < BOSS_ENRAGE_FRAC;
+    if (enraged !== Boss.enraged) {
+      Boss.enraged = enraged;
+      if (enraged) toast("Enraged", `${b.name} is below ${BOSS_ENRAGE_FRAC * 100}% HP. Heals are now +${bossHealPct(b, true)}%.`);
+      renderBossArt();
+    }
+  }
+
+  // The fight clock stops while the shield is up; leaving restarts the streak.
+  function bossRaiseShield() {
+    const rule = Visibility.activeRule;
+    Boss.timer.pause();
+    Boss.shield = { streakFrom: Date.now(), seen: awayCount(rule?.log), handle: setInterval(bossShieldTick, 250) };
+    // The paused clock is all a reload needs; the streak starts over anyway.
+    saveActiveRun();
+    renderBossArt();
+    bossShieldTick();
+  }
+
+  function bossShieldTick() {
+    const sh = Boss.shield;
+    const rule = Visibility.activeRule;
+    const seen = awayCount(rule?.log);
+    if (rule?.awayStart || seen !== sh.seen) {
+      sh.streakFrom = Date.now();
+      sh.seen = seen;
+    }
+    const left = Boss.boss.shieldStreakMs - (Date.now() - sh.streakFrom);
+    if (left <= 0) return bossBreakShield();
+    $("#bossState").textContent = `Shield up: ${Math.ceil(left / 1000)}s of unbroken focus to break it.`;
+  }
+
+  function bossDropShield() {
+    if (!Boss.shield) return;
+    clearInterval(Boss.shield.handle);
+    Boss.shield = null;
+  }
+
+  function bossBreakShield() {
+    bossDropShield();
+    renderBossArt();
+    $("#bossState").textContent = `Fighting for: “${Boss.task}”. Keep the tab.`;
+    toast("Shield broken", `${Boss.boss.name} takes damage again.`);
+    Boss.timer.start();
+    saveActiveRun();
+  }
+
+  function bossStart() {
+    const task = ($("#bossTask").value || "").trim();
+    if (!task) {
+      toast("Boss Fight", "Name the task. It makes the fight real.");
       $("#bossTask").focus();
       return;
     }
 
+    const rule = getLeaveRule("bossFight");
     openModal({
       title: "Rule check",
       body: `
-        <p><b>Leaving this tab for 15+ seconds makes the boss heal +20% HP.</b></p>
+        <p><b>Today’s boss: ${escapeHTML(dailyBoss().name)}</b> — ${escapeHTML(describeBoss(dailyBoss()))}.</p>
+        ${leaveRuleCheckHTML(rule, `heals the boss +${bossHealPct(dailyBoss())}% HP, every time`)}
         <p>Anonymous = local-only. Auth = session stored in DB.</p>
       `,
       actions: [
@@ -1140,36 +3787,8 @@
           variant: "primary",
           onClick: () => {
             closeModal();
-
-            Boss.task = task;
-            Boss.running = true;
-            Boss.startISO = new Date().toISOString();
-
-            $("#startBossBtn").disabled = true;
-            $("#stopBossBtn").disabled = false;
-            $("#bossState").textContent = `Fighting for: “${task}”. Keep the tab.`;
-
-            startLeaveRule({
-              type: "bossFight",
-              thresholdMs: 15000,
-              onTrigger: ({ awayMs }) => {
-                const healMs = Math.floor(Boss.totalMs * 0.20);
-                Boss.remainingMs = Math.min(Boss.totalMs, Boss.remainingMs + healMs);
-                bossHealFx();
-                toast("Boss healed", `Left for ${Math.floor(awayMs / 1000)}s. +20% HP.`);
-                updateBossUI();
-              }
-            });
-
-            Boss.tick = setInterval(() => {
-              if (!Boss.running) return;
-              Boss.remainingMs -= 1000;
-              if (Boss.remainingMs < 0) Boss.remainingMs = 0;
-              bossAttackFx();
-              updateBossUI();
-              if (Boss.remainingMs === 0) bossVictory();
-            }, 1000);
-
+            addTask(task);
+            bossBegin({ task, rule: rule.id });
             toast("Boss Fight", "Fight started. Deal damage by staying.");
           }
         }
@@ -1177,13 +3796,83 @@
     });
   }
 
+  // Starts (or resumes) the fight loop. Resume passes the persisted values.
+  function bossBegin({ task, rule, away = null, runId = newRunId(), startISO = new Date().toISOString(), remainingMs = Boss.totalMs, heals = 0, boss = null }) {
+    const p = getLeaveRulePreset(rule);
+    Boss.boss = getBossById(boss?.id) || dailyBoss();
+    Boss.shieldsRaised = boss?.shields || 0;
+    Boss.enraged = false;
+    Boss.task = task;
+    Boss.rule = p.id;
+    Boss.awayLog = null;
+    Boss.running = true;
+    Boss.endedAt = null;
+    Boss.runId = runId;
+    Boss.startISO = startISO;
+    Boss.remainingMs = clamp(remainingMs, 0, Boss.totalMs);
+    Boss.heals = heals;
+
+    $("#bossTask").value = task;
+    renderBossTaskDone();
+    $("#startBossBtn").disabled = true;
+    $("#stopBossBtn").disabled = false;
+    $("#bossState").textContent = `Fighting for: “${task}”. Keep the tab.`;
+    renderBossAwayLog();
+
+    startLeaveRule({
+      type: "bossFight",
+      preset: p.id,
+      away,
+      onTrigger: (e) => {
+        const pct = bossHealPct(Boss.boss, Boss.enraged);
+        Boss.timer.adjust(Math.floor(Boss.totalMs * pct / 100));
+        Boss.remainingMs = Boss.timer.remaining();
+        Boss.heals += 1;
+        bossHealFx();
+        toast("Boss healed", `${leaveRuleReason(p, e)} +${pct}% HP.`);
+        updateBossUI();
+        bossCheckPhases();
+        saveActiveRun();
+      }
+    });
+
+    Boss.timer = createTimer({
+      totalMs: Boss.totalMs,
+      remainingMs: Boss.remainingMs,
+      onTick: (ms) => {
+        Boss.remainingMs = ms;
+        alertHalfway(Boss.runId, ms, Boss.totalMs, `${Boss.boss.name} is at half HP. Keep going.`);
+        bossAttackFx();
+        updateBossUI();
+        bossCheckPhases();
+        saveActiveRun();
+      },
+      onDone: () => {
+        Boss.remainingMs = 0;
+        bossVictory();
+      }
+    });
+    renderBossArt();
+    Boss.timer.start();
+    // Reload mid-shield: the shield is back up and the streak starts over.
+    if (boss?.shieldUp && Boss.running) bossRaiseShield();
+  }
+
   async function bossStop(reason = "Stopped.") {
     if (!Boss.running) return;
 
     Boss.running = false;
-    clearInterval(Boss.tick);
-    Boss.tick = null;
-    stopLeaveRule();
+    bossDropShield();
+    if (Boss.timer) {
+      Boss.remainingMs = Boss.timer.remaining();
+      Boss.timer.stop();
+      Boss.timer = null;
+    }
+    Boss.awayLog = stopLeaveRule();
+    Boss.endedAt = Date.now();
+    clearActiveRun();
+    renderBossAwayLog();
+    renderBossArt();
 
     $("#startBossBtn").disabled = false;
     $("#stopBossBtn").disabled = true;
@@ -1193,52 +3882,102 @@
     if (Boss.remainingMs > 0) {
       await dbInsertSession({
         mode: "bossFight",
+        runId: Boss.runId,
         taskName: Boss.task,
         durationMinutes: Boss.selectedMin,
         status: "stopped",
         startedAtISO: Boss.startISO,
-        endedAtISO: new Date().toISOString()
+        endedAtISO: new Date().toISOString(),
+        leaveRule: Boss.rule,
+        awayLog: Boss.awayLog,
+        heals: Boss.heals,
+        bossName: Boss.boss.name
       });
+      pushHistory(ownedKey(LS.bossHistory), bossHistoryEntry("stopped"));
+      renderBossHistory();
+      loadTaskStats();
     }
   }
 
+  function bossHistoryEntry(result) {
+    return {
+      dayKey: userDayKey(),
+      task: Boss.task,
+      boss: Boss.boss.name,
+      minutes: Boss.selectedMin,
+      ts: Date.now(),
+      result,
+      heals: Boss.heals,
+      rule: Boss.rule,
+      away: Boss.awayLog
+    };
+  }
+
   async function bossVictory() {
     await bossStop("Victory.");
 
-    toast("Victory", "Boss defeated. Procrastination took a hit.");
+    toast("Victory", `${Boss.boss.name} defeated. Procrastination took a hit.`);
+    fireAlert("end", "Victory", `${Boss.boss.name} defeated. ${Boss.selectedMin} min done.`);
 
     // Save local history
-    const list = loadJSON(LS.bossHistory, []);
-    const entry = {
-      dayKey: utcDayKey(),
-      task: Boss.task,
-      minutes: Boss.selectedMin,
-      ts: Date.now()
-    };
-    list.unshift(entry);
-    saveJSON(LS.bossHistory, list.slice(0, 20));
+    pushHistory(ownedKey(LS.bossHistory), bossHistoryEntry("cleared"));
 
     // DB: store cleared (override: because bossStop may have inserted stopped)
     await dbInsertSession({
       mode: "bossFight",
+      runId: Boss.runId,
       taskName: Boss.task,
       durationMinutes: Boss.selectedMin,
       status: "cleared",
       startedAtISO: Boss.startISO,
-      endedAtISO: new Date().toISOString()
+      endedAtISO: new Date().toISOString(),
+      leaveRule: Boss.rule,
+      awayLog: Boss.awayLog,
+      heals: Boss.heals,
+      bossName: Boss.boss.name
     });
 
     // Update share card
+    $("#shareBossName").textContent = Boss.boss.name;
     $("#shareBossTask").textContent = Boss.task;
     $("#shareBossDur").textContent = `${Boss.selectedMin} min`;
-    $("#copyShare2").disabled = false;
-    $("#downloadShare2").disabled = false;
+    $("#shareBossRule").textContent = leaveRuleTag(Boss.rule);
+    ShareRuns.bossFight = {
+      mode: "bossFight",
+      runId: Boss.runId,
+      day: userDayKey(),
+      result: "cleared",
+      minutes: Boss.selectedMin,
+      task: Boss.task,
+      boss: Boss.boss.name,
+      rule: Boss.rule,
+      away: awayCount(Boss.awayLog)
+    };
+    setShareEnabled(2, true);
 
     renderBossHistory();
+    renderBossTaskDone();
+    loadTaskStats();
+  }
+
+  function renderBossAwayLog() {
+    renderAwayLog($("#bossAwayLog"), Boss.running ? null : Boss.awayLog, {
+      startMs: Date.parse(Boss.startISO),
+      endMs: Boss.endedAt,
+      pending: Boss.running
+    });
   }
 
+  // History line: "The Inbox Golem • 25 min • Boss defeated • Strict • 2× away"
+  function historyAwayLabel(e) {
+    const n = historyAwayCount(e);
+    return n === null ? null : `${n}× away`;
+  }
+
+  const BOSS_RESULT_LABELS = { cleared: "Boss defeated", stopped: "Stopped", abandoned: "Abandoned ⏸" };
+
   function renderBossHistory() {
-    const list = loadJSON(LS.bossHistory, []);
+    const list = loadJSON(ownedKey(LS.bossHistory), []);
     const root = $("#bossHistory");
     root.innerHTML = "";
     if (!list.length) {
@@ -1253,12 +3992,347 @@
           <div class="history-title">${escapeHTML(e.task)}</div>
           <div class="mono">${escapeHTML(e.dayKey)}</div>
         </div>
-        <div class="history-sub">${escapeHTML(`${e.minutes} min • Boss defeated`)}</div>
+        <div class="history-sub">${escapeHTML([e.boss || null, `${e.minutes} min`, BOSS_RESULT_LABELS[e.result || "cleared"], e.heals ? `${e.heals} heal${e.heals === 1 ? "" : "s"}` : null, e.rule ? getLeaveRulePreset(e.rule).label : null, historyAwayLabel(e)].filter(Boolean).join(" • "))}</div>
       `;
       root.appendChild(div);
     });
   }
 
+  // -----------------------------
+  // Boss Fight: task backlog
+  // -----------------------------
+  // Anonymous: LS.tasks. Auth: the tasks table, cached in LS.authTasks and
+  // written through the outbox. Stats link by name to history / sessions.task_name,
+  // so a renamed task starts its stats fresh.
+  const TASK_NAME_MAX = 60;
+
+  const Tasks = {
+    showAll: false,
+    stats: new Map(), // lower-cased name -> {fights, minutes}
+    loadSeq: 0
+  };
+
+  const taskKey = (name) => String(name || "").trim().toLowerCase();
+
+  function getTasks() {
+    if (isAuthActive()) {
+      const cache = loadJSON(LS.authTasks, null);
+      return cache && cache.userId === authUser.id && Array.isArray(cache.tasks) ? cache.tasks : [];
+    }
+    const list = loadJSON(LS.tasks, []);
+    return Array.isArray(list) ? list : [];
+  }
+
+  // changed: tasks whose rows need writing (Auth mode).
+  function saveTasks(list, changed = []) {
+    if (isAuthActive()) {
+      saveJSON(LS.authTasks, { userId: authUser.id, tasks: list, syncedAt: loadJSON(LS.authTasks, null)?.syncedAt || null });
+      changed.forEach(t => dbUpsertTask(t));
+    } else {
+      saveJSON(LS.tasks, list);
+    }
+    renderTaskBacklog();
+  }
+
+  function sortedTasks(list = getTasks()) {
+    return list.slice().sort((a, b) => a.position - b.position);
+  }
+
+  function findTaskByName(name, list = getTasks()) {
+    const k = taskKey(name);
+    return list.find(t => t.status !== "archived" && taskKey(t.name) === k) || null;
+  }
+
+  function newTask(name, list) {
+    const now = new Date().toISOString();
+    return {
+      id: newRunId(),
+      name: name.trim().slice(0, TASK_NAME_MAX),
+      position: list.reduce((n, t) => Math.max(n, t.position + 1), 0),
+      status: "open",
+      createdAt: now,
+      updatedAt: now,
+      doneAt: null
+    };
+  }
+
+  function addTask(name) {
+    const clean = String(name || "").trim();
+    if (!clean) return null;
+    const list = getTasks();
+    const existing = findTaskByName(clean, list);
+    if (existing) return existing;
+    const t = newTask(clean, list);
+    list.push(t);
+    saveTasks(list, [t]);
+    return t;
+  }
+
+  function updateTask(id, patch) {
+    const list = getTasks();
+    const t = list.find(x => x.id === id);
+    if (!t) return null;
+    Object.assign(t, patch, { updatedAt: new Date().toISOString() });
+    saveTasks(list, [t]);
+    return t;
+  }
+
+  function setTaskStatus(id, status) {
+    return updateTask(id, { status, doneAt: status === "done" ? new Date().toISOString() : null });
+  }
+
+  // Swaps with the neighbour among the tasks currently shown.
+  function moveTask(id, dir) {
+    const list = getTasks();
+    const shown = sortedTasks(list).filter(t => Tasks.showAll || t.status === "open");
+    const i = shown.findIndex(t => t.id === id);
+    const j = i + dir;
+    if (i < 0 || j < 0 || j >= shown.length) return;
+    const a = shown[i], b = shown[j];
+    [a.position, b.position] = [b.position, a.position];
+    const now = new Date().toISOString();
+    a.updatedAt = b.updatedAt = now;
+    saveTasks(list, [a, b]);
+  }
+
+  function renameTaskModal(id) {
+    const t = getTasks().find(x => x.id === id);
+    if (!t) return;
+    openModal({
+      title: "Rename task",
+      body: `
+        <label class="field">
+          <span class="field-label">Task name</span>
+          <input class="input" id="taskRenameInput" maxlength="${TASK_NAME_MAX}" value="${escapeAttr(t.name)}" />
+        </label>
+        <p class="muted">Stats follow the name: fights under the old name stay with it.</p>
+      `,
+      actions: [
+        { label: "Cancel", variant: "ghost", onClick: () => closeModal() },
+        {
+          label: "Save",
+          variant: "primary",
+          onClick: () => {
+            const name = ($("#taskRenameInput").value || "").trim();
+            if (!name) return toast("Backlog", "A task needs a name.");
+            const clash = findTaskByName(name);
+            if (clash && clash.id !== id) return toast("Backlog", "That task is already in the backlog.");
+            closeModal();
+            updateTask(id, { name: name.slice(0, TASK_NAME_MAX) });
+          }
+        }
+      ]
+    });
+  }
+
+  // Anonymous: boss history. Auth: the account's bossFight sessions.
+  async function loadTaskStats() {
+    const seq = ++Tasks.loadSeq;
+    let rows;
+    if (isAuthActive() && supabase) {
+      const { data, error } = await selectAllRows(() => supabase
+        .from("sessions")
+        .select("task_name, duration_minutes, status")
+        .eq("user_id", authUser.id)
+        .eq("mode", "bossFight")
+        .order("started_at")
+        .order("client_run_id"));
+      if (error) {
+        console.warn("task stats select failed", error);
+        return;
+      }
+      rows = (data || []).map(r => ({ task: r.task_name, minutes: r.duration_minutes, status: r.status }));
+    } else {
+      rows = loadJSON(ownedKey(LS.bossHistory), []).map(e => ({ task: e.task, minutes: e.minutes, status: e.result || "cleared" }));
+    }
+    if (seq !== Tasks.loadSeq) return;
+
+    const stats = new Map();
+    rows.forEach(r => {
+      const k = taskKey(r.task);
+      if (!k) return;
+      const s = stats.get(k) || { fights: 0, minutes: 0 };
+      s.fights += 1;
+      if (r.status === "cleared") s.minutes += r.minutes || 0;
+      stats.set(k, s);
+    });
+    Tasks.stats = stats;
+    renderTaskBacklog();
+  }
+
+  function taskStatsLabel(t) {
+    const s = Tasks.stats.get(taskKey(t.name));
+    if (!s) return "No fights yet";
+    return `${s.fights} fight${s.fights === 1 ? "" : "s"} • ${s.minutes} min defeated`;
+  }
+
+  const TASK_STATUS_LABELS = { open: null, done: "Done ✅", archived: "Archived" };
+
+  function renderTaskBacklog() {
+    const root = $("#taskList");
+    if (!root) return;
+    const all = sortedTasks();
+    const shown = all.filter(t => Tasks.showAll || t.status === "open");
+    const hidden = all.length - shown.length;
+
+    $("#bossTaskOptions").innerHTML = all
+      .filter(t => t.status === "open")
+      .map(t => `<option value="${escapeAttr(t.name)}"></option>`)
+      .join("");
+    $("#taskShowAllBtn").textContent = Tasks.showAll ? "Hide done / archived" : `Show done / archived${hidden ? ` (${hidden})` : ""}`;
+
+    if (!shown.length) {
+      root.innerHTML = `<div class="muted">${all.length ? "Everything here is done or archived." : "No tasks yet. Add one, or start a fight: new task names land here."}</div>`;
+      return;
+    }
+    root.innerHTML = shown.map((t, i) => `
+      <div class="task-row${t.status !== "open" ? ` ${escapeAttr(t.status)}` : ""}" data-task-id="${escapeAttr(t.id)}">
+        <div class="task-main">
+          <div class="task-name">${escapeHTML(t.name)}</div>
+          <div class="history-sub">${escapeHTML([TASK_STATUS_LABELS[t.status], taskStatsLabel(t)].filter(Boolean).join(" • "))}</div>
+        </div>
+        <div class="task-actions">
+          <button class="btn ghost" type="button" data-task-act="up" ${i === 0 ? "disabled" : ""} aria-label="Move up">↑</button>
+          <button class="btn ghost" type="button" data-task-act="down" ${i === shown.length - 1 ? "disabled" : ""} aria-label="Move down">↓</button>
+          ${t.status === "open" ? `
+            <button class="btn" type="button" data-task-act="fight">Fight</button>
+            <button class="btn ghost" type="button" data-task-act="rename">Rename</button>
+            <button class="btn ghost" type="button" data-task-act="done">Done</button>
+            <button class="btn ghost" type="button" data-task-act="archive">Archive</button>
+          ` : `
+            <button class="btn ghost" type="button" data-task-act="reopen">Reopen</button>
+          `}
+        </div>
+      </div>
+    `).join("");
+  }
+
+  function onTaskAction(e) {
+    const btn = e.target.closest("[data-task-act]");
+    const row = e.target.closest("[data-task-id]");
+    if (!btn || !row) return;
+    const id = row.getAttribute("data-task-id");
+    const act = btn.getAttribute("data-task-act");
+    if (act === "up") moveTask(id, -1);
+    else if (act === "down") moveTask(id, 1);
+    else if (act === "rename") renameTaskModal(id);
+    else if (act === "done") setTaskStatus(id, "done");
+    else if (act === "archive") setTaskStatus(id, "archived");
+    else if (act === "reopen") setTaskStatus(id, "open");
+    else if (act === "fight") {
+      const t = getTasks().find(x => x.id === id);
+      if (!t) return;
+      if (Boss.running) return toast("Boss Fight", "Finish or stop the fight first.");
+      $("#bossTask").value = t.name;
+      $("#bossTask").scrollIntoView?.({ behavior: "smooth", block: "center" });
+      $("#bossTask").focus();
+    }
+  }
+
+  // Victory screen: close the task that was just fought.
+  function renderBossTaskDone() {
+    const btn = $("#bossTaskDoneBtn");
+    const t = Boss.endedAt && !Boss.running && Boss.remainingMs === 0 ? findTaskByName(Boss.task) : null;
+    btn.hidden = !t || t.status !== "open";
+    btn.textContent = t ? `Mark “${t.name}” done` : "Mark task done";
+  }
+
+  function markFoughtTaskDone() {
+    const t = findTaskByName(Boss.task);
+    if (!t) return;
+    setTaskStatus(t.id, "done");
+    renderBossTaskDone();
+    toast("Backlog", `“${t.name}” is done. One less boss.`);
+  }
+
+  // Auth: refresh the cache; rows still waiting in the outbox are newer than the DB.
+  async function syncTasksFromDb() {
+    if (!isAuthActive() || !supabase) return false;
+    const { data, error } = await selectAllRows(() => supabase
+      .from("tasks")
+      .select("id, name, position, status, created_at, updated_at, done_at")
+      .eq("user_id", authUser.id)
+      .order("id"));
+    if (error) {
+      console.warn("tasks select failed", error);
+      return false;
+    }
+
+    const byId = new Map((data || []).map(r => [r.id, {
+      id: r.id,
+      name: r.name,
+      position: r.position,
+      status: r.status,
+      createdAt: r.created_at,
+      updatedAt: r.updated_at,
+      doneAt: r.done_at
+    }]));
+    const pending = new Set(outboxPendingFor(authUser.id).filter(e => e.table === "tasks").map(e => e.payload.id));
+    getTasks().forEach(t => { if (pending.has(t.id)) byId.set(t.id, t); });
+
+    saveJSON(LS.authTasks, { userId: authUser.id, tasks: Array.from(byId.values()), syncedAt: new Date().toISOString() });
+    renderTaskBacklog();
+    loadTaskStats();
+    return true;
+  }
+
+  // Anonymous backlog / backup → account: adds tasks the account doesn't have yet (by id, then name).
+  async function mergeTasksIntoAccount(tasks) {
+    if (!isAuthActive() || !supabase || !Array.isArray(tasks) || !tasks.length) return 0;
+    await syncTasksFromDb();
+    const list = getTasks();
+    const ids = new Set(list.map(t => t.id));
+    const added = [];
+    tasks.forEach(t => {
+      if (!isValidTask(t) || ids.has(t.id) || findTaskByName(t.name, list)) return;
+      const copy = { ...t, position: list.reduce((n, x) => Math.max(n, x.position + 1), 0) };
+      list.push(copy);
+      ids.add(copy.id);
+      added.push(copy);
+    });
+    if (added.length) saveTasks(list, added);
+    return added.length;
+  }
+
+  function isValidTask(t) {
+    return !!t && typeof t === "object" && typeof t.id === "string" && typeof t.name === "string" && t.name.trim() !== ""
+      && Number.isFinite(t.position) && ["open", "done", "archived"].includes(t.status);
+  }
+
+  function isValidJournalEntry(e) {
+    return !!e && typeof e === "object" && isDayKey(e.dayKey) && Number.isInteger(e.challengeId)
+      && typeof (e.note ?? "") === "string" && String(e.note ?? "").length <= JOURNAL_NOTE_MAX;
+  }
+
+  // Backup → account: days the account has no newer entry for; returns how many.
+  // anonPhotos moves this device's Anonymous-mode photos under the account key.
+  async function mergeJournalIntoAccount(entries, { anonPhotos = false } = {}) {
+    await syncJournalFromDb();
+    const cur = getJournal();
+    let merged = 0;
+    let moved = 0;
+    for (const e of entries) {
+      if (!isValidJournalEntry(e)) continue;
+      const have = cur[e.dayKey];
+      if (have && String(have.updatedAt || "") >= String(e.updatedAt || "")) continue;
+      const blob = anonPhotos && e.photo ? await photoGet(`anon:${e.dayKey}`) : null;
+      const local = blob instanceof Blob && !!(await photoPut(photoKey(e.dayKey), blob));
+      if (local) {
+        forgetJournalPhotoUrl(e.dayKey);
+        moved += 1;
+      }
+      saveJournalEntry({
+        ...e,
+        photo: local || !!e.photoPath || !!(have && have.photo),
+        photoPath: local ? null : e.photoPath || have?.photoPath || null
+      });
+      merged += 1;
+    }
+    // Uploads the moved photos (entries with a photo but no bucket path yet).
+    if (moved) await syncJournalFromDb();
+    return merged;
+  }
+
   // -----------------------------
   // Mode 3: Focus Arena
   // -----------------------------
@@ -1266,12 +4340,27 @@
     running: false,
     totalMs: minutesToMs(25),
     remainingMs: minutesToMs(25),
-    tick: null,
+    timer: null,
     selectedMin: 25,
     people: 0,
-    startISO: null
+    startISO: null,
+    runId: null,
+    rule: "standard",
+    awayLog: null,
+    endedAt: null,
+    format: "single", // 'single' | 'cycle'
+    cycleConfig: { rounds: 4, shortMin: 5, longMin: 15 },
+    cycle: null // active cycle: {id, rounds, focusMin, shortMin, longMin, round, phase, breakKind, cleared, startISO, rule, breakTimer, breakRemainingMs}
   };
 
+  const CYCLE_LONG_BREAK_MIN_ROUNDS = 4;
+
+  // One long break, halfway through (after round 2 of 4, 3 of 6). Shorter cycles
+  // only get short breaks.
+  function cycleLongBreakAfter(rounds) {
+    return rounds >= CYCLE_LONG_BREAK_MIN_ROUNDS ? Math.floor(rounds / 2) : 0;
+  }
+
   function arenaSetDuration(min) {
     Arena.selectedMin = min;
     Arena.totalMs = minutesToMs(min);
@@ -1281,11 +4370,17 @@
   }
 
   function renderArenaPeople() {
-    const seed = todaySeed(`arena:${Arena.selectedMin}`);
-    const rnd = mulberry32(seed);
-    const base = 300 + Math.floor(rnd() * 1600);
-    const wave = Math.floor(rnd() * 220);
-    Arena.people = base + wave;
+    if (Crowd.source === "live") {
+      Arena.people = crowdLiveCounts().focusArena;
+      $("#arenaPeopleSource").textContent = "Live";
+    } else {
+      const seed = todaySeed(`arena:${Arena.selectedMin}`);
+      const rnd = mulberry32(seed);
+      const base = 300 + Math.floor(rnd() * 1600);
+      const wave = Math.floor(rnd() * 220);
+      Arena.people = base + wave;
+      $("#arenaPeopleSource").textContent = "Simulated";
+    }
     $("#arenaPeople").textContent = `${Arena.people.toLocaleString()} focusing right now`;
   }
 
@@ -1304,279 +4399,2204 @@
     $("#badgeFill").style.width = `${(mod / 3) * 100}%`;
   }
 
+  function describeCycle({ rounds, shortMin, longMin }, focusMin) {
+    const after = cycleLongBreakAfter(rounds);
+    const long = after ? ` • ${longMin} min long break after round ${after}` : "";
+    return `${rounds} × ${focusMin} min focus • ${shortMin} min breaks${long}`;
+  }
+
   function arenaStart() {
+    const rule = getLeaveRule("focusArena");
+    const cycle = Arena.format === "cycle";
     openModal({
       title: "Rule check",
       body: `
-        <p><b>Leaving this tab for 15+ seconds fails the session.</b></p>
+        ${leaveRuleCheckHTML(rule, cycle ? "fails the round and ends the cycle" : "fails the session")}
+        ${cycle ? `<p><b>Cycle:</b> ${escapeHTML(describeCycle(Arena.cycleConfig, Arena.selectedMin))}. The leave rule pauses during breaks and re-arms when the next round starts.</p>` : ""}
         <p>Anonymous = local-only. Auth = session stored in DB.</p>
       `,
       actions: [
         { label: "Cancel", variant: "ghost", onClick: () => closeModal() },
         {
-          label: "Enter Arena",
+          label: cycle ? "Start Cycle" : "Enter Arena",
           variant: "primary",
           onClick: () => {
             closeModal();
-
-            Arena.running = true;
-            Arena.startISO = new Date().toISOString();
-
-            $("#startArenaBtn").disabled = true;
-            $("#stopArenaBtn").disabled = false;
-            $("#arenaState").textContent = "Session active. Stay. Breathe. Do.";
-
-            startLeaveRule({
-              type: "focusArena",
-              thresholdMs: 15000,
-              onTrigger: ({ awayMs }) => {
-                arenaFail(`Left for ${Math.floor(awayMs / 1000)}s (15s rule).`);
-              }
-            });
-
-            Arena.tick = setInterval(() => {
-              if (!Arena.running) return;
-              Arena.remainingMs -= 1000;
-              if (Arena.remainingMs < 0) Arena.remainingMs = 0;
-
-              $("#arenaTimer").textContent = msToClock(Arena.remainingMs);
-              if (Arena.remainingMs === 0) arenaVictory();
-            }, 1000);
-
-            toast("Focus Arena", "Session started. Quiet pressure engaged.");
+            if (cycle) {
+              cycleBegin({ rule: rule.id });
+              toast("Focus Arena", `Round 1 / ${Arena.cycle.rounds}. Quiet pressure engaged.`);
+            } else {
+              arenaBegin({ rule: rule.id });
+              toast("Focus Arena", "Session started. Quiet pressure engaged.");
+            }
           }
         }
       ]
     });
   }
 
+  // Starts (or resumes) the session loop. Resume passes the persisted values.
+  function arenaBegin({ rule, away = null, runId = newRunId(), startISO = new Date().toISOString(), remainingMs = Arena.totalMs } = {}) {
+    const p = getLeaveRulePreset(rule);
+    Arena.running = true;
+    Arena.rule = p.id;
+    Arena.awayLog = null;
+    Arena.runId = runId;
+    Arena.startISO = startISO;
+    Arena.remainingMs = clamp(remainingMs, 0, Arena.totalMs);
+
+    $("#startArenaBtn").disabled = true;
+    $("#stopArenaBtn").disabled = false;
+    $("#arenaState").textContent = Arena.cycle
+      ? `Round ${Arena.cycle.round} / ${Arena.cycle.rounds}. Stay. Breathe. Do.`
+      : "Session active. Stay. Breathe. Do.";
+    renderArenaAwayLog();
+    renderCycleStatus();
+
+    startLeaveRule({
+      type: "focusArena",
+      preset: p.id,
+      away,
+      onTrigger: (e) => arenaFail(leaveRuleReason(p, e))
+    });
+
+    Arena.timer = createTimer({
+      totalMs: Arena.totalMs,
+      remainingMs: Arena.remainingMs,
+      onTick: (ms) => {
+        Arena.remainingMs = ms;
+        $("#arenaTimer").textContent = msToClock(ms);
+        alertHalfway(Arena.runId, ms, Arena.totalMs, `${msToClock(ms)} to go in the arena.`);
+        saveActiveRun();
+      },
+      onDone: () => {
+        Arena.remainingMs = 0;
+        arenaVictory();
+      }
+    });
+    Arena.timer.start();
+  }
+
   async function arenaStop(reason = "Stopped.") {
     if (!Arena.running) return;
 
     Arena.running = false;
-    clearInterval(Arena.tick);
-    Arena.tick = null;
-    stopLeaveRule();
-
-    $("#startArenaBtn").disabled = false;
-    $("#stopArenaBtn").disabled = true;
+    if (Arena.timer) {
+      Arena.remainingMs = Arena.timer.remaining();
+      Arena.timer.stop();
+      Arena.timer = null;
+    }
+    Arena.awayLog = stopLeaveRule();
+    Arena.endedAt = Date.now();
+    clearActiveRun();
+    renderArenaAwayLog();
+
+    // A cycle between rounds keeps the controls: the break takes over.
+    $("#startArenaBtn").disabled = !!Arena.cycle;
+    $("#stopArenaBtn").disabled = !Arena.cycle;
     $("#arenaState").textContent = `Idle. ${reason}`;
 
     // DB: stopped
     if (Arena.remainingMs > 0) {
       await dbInsertSession({
         mode: "focusArena",
+        runId: Arena.runId,
         durationMinutes: Arena.selectedMin,
         status: "stopped",
         startedAtISO: Arena.startISO,
-        endedAtISO: new Date().toISOString()
+        endedAtISO: new Date().toISOString(),
+        leaveRule: Arena.rule,
+        awayLog: Arena.awayLog,
+        ...arenaCycleFields()
       });
     }
   }
 
+  // Stop button / leaving the screen: ends the round and, if any, the cycle.
+  async function arenaHalt(reason) {
+    if (Arena.running) await arenaStop(reason);
+    if (Arena.cycle) await cycleFinish("stopped");
+  }
+
+  function arenaCycleFields() {
+    const c = Arena.cycle;
+    return c ? { cycleId: c.id, cycleRound: c.round, cycleRounds: c.rounds } : {};
+  }
+
+  function arenaHistoryEntry(result) {
+    const c = Arena.cycle;
+    return {
+      dayKey: userDayKey(),
+      minutes: Arena.selectedMin,
+      ts: Date.now(),
+      result,
+      rule: Arena.rule,
+      away: Arena.awayLog,
+      ...(c ? { cycle: { round: c.round, rounds: c.rounds } } : {})
+    };
+  }
+
+  function arenaShareRun(result) {
+    return {
+      mode: "focusArena",
+      runId: Arena.runId,
+      day: userDayKey(),
+      result,
+      minutes: Arena.selectedMin,
+      rule: Arena.rule,
+      away: awayCount(Arena.awayLog)
+    };
+  }
+
   async function arenaVictory() {
     await arenaStop("Session cleared.");
 
-    toast("Session cleared", "Clean win. The arena approves.");
+    const c = Arena.cycle;
+    toast(c ? `Round ${c.round} / ${c.rounds} cleared` : "Session cleared", "Clean win. The arena approves.");
+    fireAlert("end", c ? `Round ${c.round} / ${c.rounds} cleared` : "Session cleared",
+      c && c.round < c.rounds ? "Break time." : `${Arena.selectedMin} min of focus, done.`);
+
+    // badges
+    const b = getArenaBadges() + 1;
+    setArenaBadges(b);
+    renderArenaBadges();
+
+    if (b % 3 === 0) {
+      const froze = earnStreakFreeze();
+      toast("Badge", froze ? "Badge earned. +1 streak freeze." : "Badge earned. Tiny reward, big ego.");
+    }
+
+    // local history
+    pushHistory(ownedKey(LS.arenaHistory), arenaHistoryEntry("cleared"));
+
+    // DB: cleared
+    await dbInsertSession({
+      mode: "focusArena",
+      runId: Arena.runId,
+      durationMinutes: Arena.selectedMin,
+      status: "cleared",
+      startedAtISO: Arena.startISO,
+      endedAtISO: new Date().toISOString(),
+      leaveRule: Arena.rule,
+      awayLog: Arena.awayLog,
+      ...arenaCycleFields()
+    });
+
+    $("#shareArenaResult").textContent = "CLEARED ✅";
+    $("#shareArenaDur").textContent = `${Arena.selectedMin} min`;
+    $("#shareArenaBadges").textContent = `${(b % 3)} / 3`;
+    $("#shareArenaRule").textContent = leaveRuleTag(Arena.rule);
+    ShareRuns.focusArena = arenaShareRun("cleared");
+    setShareEnabled(3, true);
+
+    renderArenaHistory();
+    if (c) await cycleRoundCleared();
+  }
+
+  async function arenaFail(reason = "Failed.") {
+    if (!Arena.running) return;
+
+    await arenaStop("Failed.");
+    toast("Session failed", reason);
+
+    // local history
+    pushHistory(ownedKey(LS.arenaHistory), arenaHistoryEntry("failed"));
+
+    // DB: failed
+    await dbInsertSession({
+      mode: "focusArena",
+      runId: Arena.runId,
+      durationMinutes: Arena.selectedMin,
+      status: "failed",
+      startedAtISO: Arena.startISO,
+      endedAtISO: new Date().toISOString(),
+      leaveRule: Arena.rule,
+      awayLog: Arena.awayLog,
+      ...arenaCycleFields()
+    });
+
+    $("#shareArenaResult").textContent = "FAILED ❌";
+    $("#shareArenaDur").textContent = `${Arena.selectedMin} min`;
+    $("#shareArenaBadges").textContent = `${(getArenaBadges() % 3)} / 3`;
+    $("#shareArenaRule").textContent = leaveRuleTag(Arena.rule);
+    ShareRuns.focusArena = arenaShareRun("failed");
+    setShareEnabled(3, true);
+
+    renderArenaHistory();
+    if (Arena.cycle) await cycleFinish("failed");
+  }
+
+  // -----------------------------
+  // Focus Arena: Pomodoro cycle
+  // -----------------------------
+  // Rounds are ordinary arena sessions (tagged with the cycle); breaks run
+  // their own timer with the leave rule off. The cycle gets one summary row.
+  function cycleBegin({ rule }) {
+    const cfg = Arena.cycleConfig;
+    Arena.cycle = {
+      id: newRunId(),
+      rounds: cfg.rounds,
+      focusMin: Arena.selectedMin,
+      shortMin: cfg.shortMin,
+      longMin: cfg.longMin,
+      round: 1,
+      phase: "focus",
+      breakKind: null,
+      cleared: 0,
+      startISO: new Date().toISOString(),
+      rule,
+      breakTimer: null,
+      breakRemainingMs: 0
+    };
+    arenaBegin({ rule });
+  }
+
+  async function cycleRoundCleared() {
+    const c = Arena.cycle;
+    c.cleared += 1;
+    if (c.round >= c.rounds) await cycleFinish("cleared");
+    else cycleBreak();
+  }
+
+  function cycleBreak(remainingMs = null) {
+    const c = Arena.cycle;
+    const long = c.round === cycleLongBreakAfter(c.rounds);
+    const totalMs = minutesToMs(long ? c.longMin : c.shortMin);
+    c.phase = "break";
+    c.breakKind = long ? "long" : "short";
+    c.breakRemainingMs = remainingMs === null ? totalMs : clamp(remainingMs, 0, totalMs);
+
+    $("#startArenaBtn").disabled = true;
+    $("#stopArenaBtn").disabled = false;
+    $("#arenaState").textContent = `${long ? "Long" : "Short"} break. Leave rule paused — stand up, drink water.`;
+    $("#arenaTimer").textContent = msToClock(c.breakRemainingMs);
+    renderCycleStatus();
+
+    c.breakTimer = createTimer({
+      totalMs,
+      remainingMs: c.breakRemainingMs,
+      onTick: (ms) => {
+        c.breakRemainingMs = ms;
+        $("#arenaTimer").textContent = msToClock(ms);
+        saveActiveRun();
+      },
+      onDone: () => {
+        c.breakTimer = null;
+        c.round += 1;
+        c.phase = "focus";
+        arenaBegin({ rule: c.rule });
+        toast("Focus Arena", `Round ${c.round} / ${c.rounds}. Break’s over, leave rule back on.`);
+        fireAlert("end", "Break’s over", `Round ${c.round} / ${c.rounds} has started. Leave rule back on.`);
+      }
+    });
+    c.breakTimer.start();
+    saveActiveRun();
+  }
+
+  async function cycleFinish(result) {
+    const c = Arena.cycle;
+    if (!c) return;
+    Arena.cycle = null;
+    if (c.breakTimer) c.breakTimer.stop();
+    clearActiveRun();
+
+    $("#startArenaBtn").disabled = false;
+    $("#stopArenaBtn").disabled = true;
+    $("#arenaTimer").textContent = msToClock(Arena.totalMs);
+    if (c.phase === "break") $("#arenaState").textContent = "Idle. Cycle stopped during a break.";
+    renderCycleStatus();
+
+    pushHistory(ownedKey(LS.cycleHistory), {
+      dayKey: userDayKey(),
+      ts: Date.now(),
+      rounds: c.rounds,
+      cleared: c.cleared,
+      minutes: c.focusMin,
+      result,
+      rule: c.rule
+    });
+
+    await dbInsertSession({
+      mode: "focusCycle",
+      runId: c.id,
+      durationMinutes: c.rounds * c.focusMin,
+      status: result,
+      startedAtISO: c.startISO,
+      endedAtISO: new Date().toISOString(),
+      leaveRule: c.rule,
+      cycleId: c.id,
+      cycleRound: c.cleared,
+      cycleRounds: c.rounds
+    });
+
+    const label = result === "cleared" ? "CYCLE CLEARED ✅" : result === "failed" ? "CYCLE FAILED ❌" : "CYCLE STOPPED ⏹";
+    $("#shareArenaResult").textContent = label;
+    $("#shareArenaDur").textContent = `${c.cleared}/${c.rounds} × ${c.focusMin} min`;
+    $("#shareArenaBadges").textContent = `${(getArenaBadges() % 3)} / 3`;
+    $("#shareArenaRule").textContent = leaveRuleTag(c.rule);
+    setShareEnabled(3, true);
+
+    if (result === "cleared") toast("Cycle cleared", `${c.rounds} rounds, ${c.rounds * c.focusMin} focused minutes. Earned.`);
+    renderArenaHistory();
+  }
+
+  function renderCycleStatus() {
+    const c = Arena.cycle;
+    $("#arenaTitle").textContent = !c ? "Focus"
+      : c.phase === "break" ? `${c.breakKind === "long" ? "Long" : "Short"} break • next ${c.round + 1} / ${c.rounds}`
+      : `Round ${c.round} / ${c.rounds}`;
+  }
+
+  function renderCycleConfig() {
+    const cycle = Arena.format === "cycle";
+    $$("#arenaFormatSeg .seg-btn").forEach(b => b.classList.toggle("active", b.getAttribute("data-arena-format") === Arena.format));
+    $("#cycleConfig").hidden = !cycle;
+    const cfg = Arena.cycleConfig;
+    selectPreset("#cycleConfig .seg-btn[data-cycle-rounds]", "data-cycle-rounds", cfg.rounds);
+    selectPreset("#cycleConfig .seg-btn[data-cycle-short]", "data-cycle-short", cfg.shortMin);
+    selectPreset("#cycleConfig .seg-btn[data-cycle-long]", "data-cycle-long", cfg.longMin);
+    $("#cycleLongRow").hidden = !cycleLongBreakAfter(cfg.rounds);
+    $("#cycleSummary").textContent = describeCycle(cfg, Arena.selectedMin);
+    $("#startArenaBtn").textContent = cycle ? "Start Cycle" : "Enter Arena";
+  }
+
+  function renderArenaAwayLog() {
+    renderAwayLog($("#arenaAwayLog"), Arena.running ? null : Arena.awayLog, {
+      startMs: Date.parse(Arena.startISO),
+      endMs: Arena.endedAt,
+      pending: Arena.running
+    });
+  }
+
+  function renderArenaHistory() {
+    const list = loadJSON(ownedKey(LS.arenaHistory), []);
+    const root = $("#arenaHistory");
+    root.innerHTML = "";
+    if (!list.length) {
+      root.innerHTML = `<div class="muted">No arena sessions recorded yet.</div>`;
+      return;
+    }
+    list.slice(0, 10).forEach(e => {
+      const div = document.createElement("div");
+      div.className = "history-item";
+      const res = e.result === "cleared" ? "Cleared ✅"
+        : e.result === "abandoned" ? "Abandoned ⏸"
+        : "Failed ❌";
+      div.innerHTML = `
+        <div class="history-top">
+          <div class="history-title">${escapeHTML(e.cycle ? `${e.minutes} min • round ${e.cycle.round}/${e.cycle.rounds}` : `${e.minutes} min`)}</div>
+          <div class="mono">${escapeHTML(e.dayKey)}</div>
+        </div>
+        <div class="history-sub">${escapeHTML([res, e.rule ? getLeaveRulePreset(e.rule).label : null, historyAwayLabel(e)].filter(Boolean).join(" • "))}</div>
+      `;
+      root.appendChild(div);
+    });
+  }
+
+  // -----------------------------
+  // Mode 4: Co-op Raid (Auth mode only)
+  // -----------------------------
+  // One boss per raid code, HP shared by everyone in it. Each member's focused
+  // second deals 1 damage; any member breaking the leave rule heals the boss
+  // for all. Nobody owns the fight: every client gossips the cumulative
+  // {dealt, heals} it knows for each member and keeps the max per member, so
+  // late or repeated messages never double count. Raids aren't in the
+  // active-run snapshot: after a reload, joining the same code picks the
+  // fight back up (with your damage so far).
+  const RAID_MINUTES = [25, 45, 60];
+  const RAID_MAX_MEMBERS = 8;
+  const RAID_RULE = "standard"; // one rule for everyone: 15s away heals the boss
+  const RAID_HEAL_FRAC = 0.20;
+  const RAID_HP_SHARE = 0.9;    // boss HP = 90% of the team's full-focus damage
+  const RAID_SYNC_MS = 2000;
+  const RAID_CODE_LEN = 6;
+  const RAID_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+  const RAID_EVENTS = ["start", "state"];
+
+  const Raid = {
+    phase: "idle",      // 'idle' | 'lobby' | 'fighting' | 'ended'
+    code: null,
+    transport: null,
+    connected: false,
+    isHost: false,
+    minutes: 25,
+    lobby: [],          // presence: [{id, name, host, minutes}]
+    members: [],        // fixed at start: [{id, name}]
+    totals: new Map(),  // user_id -> {dealt, heals, status: 'fighting' | 'left' | 'done'}
+    maxHp: 0,
+    startISO: null,
+    runId: null,
+    timer: null,
+    syncTimer: null,
+    focusFrom: 0,       // this client's damage clock (join or rejoin time)
+    dealtBase: 0,       // damage already dealt before a rejoin
+    heals: 0,
+    awayLog: null,
+    endedAt: null,
+    result: null
+  };
+
+  function normalizeRaidCode(v) {
+    return String(v || "").toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, RAID_CODE_LEN);
+  }
+
+  function newRaidCode() {
+    const bytes = new Uint32Array(RAID_CODE_LEN);
+    if (window.crypto && crypto.getRandomValues) crypto.getRandomValues(bytes);
+    else bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 2 ** 32); });
+    return Array.from(bytes, n => RAID_CODE_ALPHABET[n % RAID_CODE_ALPHABET.length]).join("");
+  }
+
+  function raidMe() {
+    return { id: authUser.id, name: authProfile?.display_name || "Player" };
+  }
+
+  // Local stand-in: ?raid_server=ws://127.0.0.1:8787 (see tools/raid-relay.js)
+  // routes raids through a plain WebSocket relay instead of Supabase Realtime.
+  // Loopback hosts only, and a link never persists it: to keep one across loads,
+  // set localStorage yve_raid_server by hand. ?raid_server=off clears that.
+  function isLoopbackRelay(url) {
+    try {
+      const u = new URL(url);
+      return /^wss?:$/.test(u.protocol) && ["localhost", "127.0.0.1", "[::1]"].includes(u.hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  function raidServerUrl() {
+    const q = new URLSearchParams(location.search).get("raid_server");
+    if (q === "off") {
+      localStorage.removeItem(LS.raidServer);
+      return null;
+    }
+    if (q && isLoopbackRelay(q)) return q;
+    const saved = localStorage.getItem(LS.raidServer);
+    return saved && isLoopbackRelay(saved) ? saved : null;
+  }
+
+  // Transport: {send(event, payload), track(meta), close()}. Callbacks get
+  // broadcasts from others, the presence list, and connection changes.
+  function openRaidTransport(code, meta, { onEvent, onPresence, onStatus }) {
+    const url = raidServerUrl();
+    return url
+      ? openRelayTransport(url, code, meta, { onEvent, onPresence, onStatus })
+      : openSupabaseTransport(code, meta, { onEvent, onPresence, onStatus });
+  }
+
+  function openSupabaseTransport(code, meta, { onEvent, onPresence, onStatus }) {
+    const ch = supabase.channel(`raid:${code}`, {
+      config: { broadcast: { self: false }, presence: { key: authUser.id } }
+    });
+    let tracked = meta;
+    RAID_EVENTS.forEach(ev => ch.on("broadcast", { event: ev }, ({ payload }) => onEvent(ev, payload)));
+    ch.on("presence", { event: "sync" }, () => {
+      const state = ch.presenceState();
+      onPresence(Object.entries(state).map(([id, metas]) => ({ id, ...(metas[metas.length - 1] || {}) })));
+    });
+    ch.subscribe((status) => {
+      if (status === "SUBSCRIBED") {
+        ch.track(tracked);
+        onStatus(true);
+      } else if (status === "CHANNEL_ERROR" || status === "TIMED_OUT" || status === "CLOSED") {
+        onStatus(false);
+      }
+    });
+    return {
+      label: "Supabase Realtime",
+      send: (event, payload) => ch.send({ type: "broadcast", event, payload }),
+      track: (m) => { tracked = m; ch.track(m); },
+      close: () => supabase.removeChannel(ch)
+    };
+  }
+
+  function openRelayTransport(url, code, meta, { onEvent, onPresence, onStatus }) {
+    const ws = new WebSocket(url);
+    const send = (msg) => { if (ws.readyState === 1) ws.send(JSON.stringify(msg)); };
+    ws.addEventListener("open", () => {
+      send({ type: "join", room: `raid:${code}`, key: authUser.id, meta });
+      onStatus(true);
+    });
+    ws.addEventListener("close", () => onStatus(false));
+    ws.addEventListener("message", (m) => {
+      let msg;
+      try { msg = JSON.parse(m.data); } catch { return; }
+      if (msg.type === "presence" && Array.isArray(msg.members)) onPresence(msg.members.map(x => ({ id: x.key, ...(x.meta || {}) })));
+      else if (msg.type === "broadcast" && RAID_EVENTS.includes(msg.event)) onEvent(msg.event, msg.payload);
+    });
+    return {
+      label: "Local relay",
+      send: (event, payload) => send({ type: "broadcast", event, payload }),
+      track: (m) => send({ type: "track", meta: m }),
+      close: () => ws.close()
+    };
+  }
+
+  function raidHostOrJoin(code, isHost) {
+    if (!isAuthActive() || !supabase || !authUser) {
+      toast("Co-op Raid", "Raids need an account.");
+      return;
+    }
+    if (Raid.phase === "fighting") return;
+    raidDisconnect();
+
+    Raid.phase = "lobby";
+    Raid.code = code;
+    Raid.isHost = isHost;
+    Raid.lobby = [];
+    Raid.members = [];
+    Raid.totals = new Map();
+    Raid.result = null;
+    Raid.awayLog = null;
+    Raid.transport = openRaidTransport(code, raidPresenceMeta(), {
+      onEvent: raidOnEvent,
+      onPresence: (list) => {
+        Raid.lobby = list;
+        if (!Raid.isHost) {
+          const host = list.find(m => m.host);
+          if (host && RAID_MINUTES.includes(host.minutes)) Raid.minutes = host.minutes;
+        }
+        renderRaid();
+      },
+      onStatus: (ok) => {
+        Raid.connected = ok;
+        // Ask a running fight to re-announce itself (rejoin after a reload).
+        if (ok && Raid.phase === "lobby") Raid.transport.send("state", { code: Raid.code, from: authUser.id, status: "lobby" });
+        renderRaid();
+      }
+    });
+    renderRaid();
+  }
+
+  function raidPresenceMeta() {
+    return { name: raidMe().name, host: Raid.isHost, minutes: Raid.minutes };
+  }
+
+  function raidHost() {
+    raidHostOrJoin(newRaidCode(), true);
+    toast("Co-op Raid", `Raid ${Raid.code} is open. Share the code.`);
+  }
+
+  function raidJoin() {
+    const code = normalizeRaidCode($("#raidCodeInput").value);
+    if (code.length !== RAID_CODE_LEN) {
+      toast("Co-op Raid", `Raid codes are ${RAID_CODE_LEN} characters.`);
+      $("#raidCodeInput").focus();
+      return;
+    }
+    raidHostOrJoin(code, false);
+  }
+
+  function raidStart() {
+    if (!Raid.isHost || Raid.phase !== "lobby") return;
+    const members = Raid.lobby.slice(0, RAID_MAX_MEMBERS).map(m => ({ id: m.id, name: m.name || "Player" }));
+    if (!members.some(m => m.id === authUser.id)) members.unshift(raidMe());
+    if (members.length < 2) {
+      toast("Co-op Raid", "Waiting for at least one more raider.");
+      return;
+    }
+
+    const rule = getLeaveRulePreset(RAID_RULE);
+    openModal({
+      title: "Rule check",
+      body: `
+        <p><b>Leave rule: ${escapeHTML(rule.label)}</b> — ${escapeHTML(describeLeaveRule(rule))}.</p>
+        <p><b>Breaking it heals the boss +20% HP for the whole raid.</b> Every raider plays the same rule.</p>
+        <p>${members.length} raiders, ${Raid.minutes} min. Boss HP is 90% of what the whole team deals by staying all the way.</p>
+      `,
+      actions: [
+        { label: "Cancel", variant: "ghost", onClick: () => closeModal() },
+        {
+          label: "Start Raid",
+          variant: "primary",
+          onClick: () => {
+            closeModal();
+            if (Raid.phase !== "lobby") return;
+            const start = { code: Raid.code, startISO: new Date().toISOString(), minutes: Raid.minutes, members };
+            Raid.transport.send("start", start);
+            raidBegin(start);
+          }
+        }
+      ]
+    });
+  }
+
+  function raidOnEvent(event, p) {
+    if (!p || p.code !== Raid.code) return;
+    if (event === "start") {
+      if (Raid.phase !== "lobby") return;
+      if (!Array.isArray(p.members) || !p.members.some(m => m.id === authUser.id)) {
+        Raid.phase = "ended";
+        Raid.result = "missed";
+        renderRaid();
+        return;
+      }
+      raidBegin(p);
+    } else if (event === "state") {
+      if (p.status === "lobby") {
+        if (Raid.phase === "fighting") Raid.transport.send("start", raidStartPayload());
+        return;
+      }
+      if (Raid.phase !== "fighting" && Raid.phase !== "ended") return;
+      if (!Raid.members.some(m => m.id === p.from)) return;
+      Object.entries(p.totals || {}).forEach(([id, t]) => raidMergeMember(id, t));
+      raidUpdate();
+    }
+  }
+
+  // Nobody deals more than one hit per second since the start (raidMyDealt's ceiling),
+  // so a client reporting more can't end the raid for everyone.
+  function raidDealtCap() {
+    const elapsed = Math.floor((Date.now() - Date.parse(Raid.startISO)) / 1000);
+    return clamp(elapsed || 0, 0, Raid.minutes * 60);
+  }
+
+  // Totals only grow, so merging is a max per field; leaving is final.
+  function raidMergeTotals(prev, t) {
+    const dealt = Math.max(prev?.dealt || 0, Math.min(t.dealt | 0, raidDealtCap()));
+    const heals = Math.max(prev?.heals || 0, t.heals | 0);
+    const status = prev?.status === "left" || prev?.status === "done" ? prev.status : t.status || prev?.status || "fighting";
+    return { dealt, heals, status };
+  }
+
+  function raidMergeMember(id, t) {
+    if (!t || !Raid.members.some(m => m.id === id)) return;
+    const prev = Raid.totals.get(id);
+    if (id === authUser.id) {
+      // Someone remembers more of our fight than we do (we reloaded): resume from it.
+      if (Raid.phase === "fighting") {
+        const mine = raidMyDealt();
+        const known = Math.min(t.dealt | 0, raidDealtCap());
+        if (known > mine) Raid.dealtBase += known - mine;
+        Raid.heals = Math.max(Raid.heals, t.heals | 0);
+      }
+      Raid.totals.set(id, raidMergeTotals(prev, { ...t, status: prev?.status }));
+      return;
+    }
+    Raid.totals.set(id, raidMergeTotals(prev, t));
+    if (Raid.phase === "fighting" && (t.heals | 0) > (prev?.heals || 0)) {
+      const who = Raid.members.find(m => m.id === id)?.name || "A raider";
+      raidHealFx();
+      toast("Boss healed", `${who} broke the leave rule. +20% HP for the boss.`);
+    }
+  }
+
+  function raidStartPayload() {
+    return { code: Raid.code, startISO: Raid.startISO, minutes: Raid.minutes, members: Raid.members };
+  }
+
+  function raidBegin({ startISO, minutes, members }) {
+    const me = authUser.id;
+    const mine = Raid.totals.get(me);
+    Raid.phase = "fighting";
+    Raid.minutes = RAID_MINUTES.includes(minutes) ? minutes : 25;
+    Raid.members = members.slice(0, RAID_MAX_MEMBERS);
+    Raid.maxHp = Math.round(Raid.minutes * 60 * Raid.members.length * RAID_HP_SHARE);
+    Raid.startISO = startISO;
+    Raid.runId = newRunId();
+    Raid.focusFrom = Date.now();
+    Raid.dealtBase = mine?.dealt || 0;
+    Raid.heals = mine?.heals || 0;
+    Raid.awayLog = null;
+    Raid.result = null;
+    Raid.totals.set(me, { dealt: Raid.dealtBase, heals: Raid.heals, status: "fighting" });
+
+    const p = getLeaveRulePreset(RAID_RULE);
+    startLeaveRule({
+      type: "raid",
+      preset: p.id,
+      onTrigger: (e) => {
+        Raid.heals += 1;
+        raidHealFx();
+        toast("Boss healed", `${leaveRuleReason(p, e)} +20% HP for the whole raid.`);
+        raidSync();
+      }
+    });
+
+    const totalMs = minutesToMs(Raid.minutes);
+    Raid.timer = createTimer({
+      totalMs,
+      remainingMs: totalMs - (Date.now() - Date.parse(startISO)),
+      onTick: (ms) => {
+        raidUpdate();
+        raidAttackFx();
+        alertHalfway(Raid.runId, ms, totalMs, `Raid ${Raid.code}: half the time left.`);
+      },
+      onDone: () => raidEnd(raidHp() <= 0 ? "cleared" : "failed")
+    });
+    Raid.syncTimer = setInterval(raidSync, RAID_SYNC_MS);
+    Raid.timer.start();
+    raidSync();
+    renderRaid();
+  }
+
+  function raidMyDealt() {
+    const rule = Visibility.activeRule;
+    let focusedMs = Date.now() - Raid.focusFrom;
+    if (rule && rule.type === "raid") {
+      focusedMs -= rule.awayTotalMs;
+      if (rule.awayStart) focusedMs -= Date.now() - rule.awayStart;
+    }
+    return Math.min(Raid.minutes * 60, Raid.dealtBase + Math.max(0, Math.floor(focusedMs / 1000)));
+  }
+
+  function raidHp() {
+    let dealt = 0, heals = 0;
+    Raid.members.forEach(m => {
+      const t = Raid.totals.get(m.id);
+      if (!t) return;
+      dealt += t.dealt;
+      heals += t.heals;
+    });
+    return clamp(Raid.maxHp - dealt + heals * Math.round(Raid.maxHp * RAID_HEAL_FRAC), 0, Raid.maxHp);
+  }
+
+  function raidRefreshMine(status = "fighting") {
+    if (!authUser) return;
+    Raid.totals.set(authUser.id, raidMergeTotals(Raid.totals.get(authUser.id), { dealt: raidMyDealt(), heals: Raid.heals, status }));
+  }
+
+  // Gossip: everything this client knows, not just its own totals.
+  function raidSync() {
+    if (!Raid.transport || !authUser) return;
+    if (Raid.phase === "fighting") raidRefreshMine();
+    Raid.transport.send("state", { code: Raid.code, from: authUser.id, status: "fighting", totals: Object.fromEntries(Raid.totals) });
+  }
+
+  function raidUpdate() {
+    if (Raid.phase !== "fighting") return renderRaid();
+    raidRefreshMine();
+    if (raidHp() <= 0) {
+      raidEnd("cleared");
+      return;
+    }
+    renderRaid();
+  }
+
+  async function raidEnd(result) {
+    if (Raid.phase !== "fighting") return;
+    raidRefreshMine(result === "stopped" ? "left" : "done");
+    Raid.phase = "ended";
+    Raid.result = result;
+    if (Raid.timer) Raid.timer.stop();
+    Raid.timer = null;
+    clearInterval(Raid.syncTimer);
+    Raid.syncTimer = null;
+    Raid.awayLog = stopLeaveRule();
+    Raid.endedAt = Date.now();
+    const mine = Raid.totals.get(authUser.id);
+    raidSync();
+    renderRaid();
+
+    pushHistory(ownedKey(LS.raidHistory), {
+      dayKey: userDayKey(),
+      ts: Date.now(),
+      code: Raid.code,
+      minutes: Raid.minutes,
+      size: Raid.members.length,
+      dealt: mine.dealt,
+      result,
+      heals: Raid.heals,
+      rule: RAID_RULE,
+      away: Raid.awayLog
+    });
+    renderRaidHistory();
+
+    if (result === "cleared") toast("Raid cleared", "The boss fell. Every second counted.");
+    else if (result === "failed") toast("Raid failed", "Time’s up and the boss still stands.");
+    if (result !== "stopped") fireAlert("end", result === "cleared" ? "Raid cleared" : "Raid failed", `Raid ${Raid.code} is over.`);
+
+    await dbInsertSession({
+      mode: "bossRaid",
+      runId: Raid.runId,
+      taskName: `Raid ${Raid.code}`,
+      durationMinutes: Raid.minutes,
+      status: result,
+      startedAtISO: Raid.startISO,
+      endedAtISO: new Date(Raid.endedAt).toISOString(),
+      leaveRule: RAID_RULE,
+      awayLog: Raid.awayLog,
+      heals: Raid.heals,
+      raidCode: Raid.code,
+      raidSize: Raid.members.length,
+      raidDamage: mine.dealt
+    });
+  }
+
+  // Leave button / leaving the screen. Mid-fight this is a stop for you only.
+  async function raidLeave() {
+    if (Raid.phase === "fighting") await raidEnd("stopped");
+    raidDisconnect();
+    Raid.phase = "idle";
+    Raid.code = null;
+    renderRaid();
+  }
+
+  function raidDisconnect() {
+    if (Raid.transport) Raid.transport.close();
+    Raid.transport = null;
+    Raid.connected = false;
+  }
+
+  function raidAttackFx() {
+    const slash = $("#raidSlash");
+    slash.classList.remove("on");
+    void slash.offsetWidth;
+    slash.classList.add("on");
+  }
+
+  function raidHealFx() {
+    const heal = $("#raidHeal");
+    const glow = $("#raidHpGlow");
+    heal.classList.remove("on");
+    glow.style.opacity = "1";
+    void heal.offsetWidth;
+    heal.classList.add("on");
+    setTimeout(() => glow.style.opacity = "0", 240);
+  }
+
+  const RAID_RESULT_LABELS = { cleared: "Boss defeated", failed: "Boss survived", stopped: "Left early", missed: "Started without you" };
+
+  function renderRaid() {
+    const auth = isAuthActive() && !!supabase && !!authUser;
+    $("#raidLoginNote").hidden = auth;
+    $("#raidSetup").hidden = !auth;
+
+    const inRaid = Raid.phase !== "idle";
+    $("#raidCodeText").textContent = Raid.code || "—";
+    $("#raidConn").textContent = !inRaid ? "—" : Raid.connected ? Raid.transport?.label || "Connected" : "Connecting…";
+    $("#raidHostBtn").disabled = inRaid;
+    $("#raidJoinBtn").disabled = inRaid;
+    $("#raidCodeInput").disabled = inRaid;
+    $$("#raidMinSeg .seg-btn").forEach(b => {
+      b.classList.toggle("active", parseInt(b.getAttribute("data-raid-min"), 10) === Raid.minutes);
+      b.disabled = inRaid && !(Raid.isHost && Raid.phase === "lobby");
+    });
+    $("#raidStartBtn").hidden = !(Raid.isHost && Raid.phase === "lobby");
+    $("#raidLeaveBtn").disabled = !inRaid;
+    $("#raidLeaveBtn").textContent = Raid.phase === "fighting" ? "Leave fight" : "Leave raid";
+
+    const fighting = Raid.phase === "fighting" || Raid.phase === "ended";
+    const hp = fighting && Raid.maxHp ? raidHp() / Raid.maxHp : 1;
+    $("#raidHpFill").style.width = `${(hp * 100).toFixed(2)}%`;
+    $("#raidHpText").textContent = `${Math.round(hp * 100)}%`;
+    $("#raidTimer").textContent = msToClock(Raid.timer ? Raid.timer.remaining() : minutesToMs(Raid.minutes));
+
+    const list = Raid.phase === "lobby" ? Raid.lobby : Raid.members;
+    $("#raidMembers").innerHTML = !inRaid ? `<div class="muted">Host a raid or join one by code.</div>`
+      : !list.length ? `<div class="muted">Waiting for raiders…</div>`
+      : list.map(m => {
+        const t = Raid.totals.get(m.id);
+        const bits = Raid.phase === "lobby"
+          ? [m.host ? "Host" : "Ready"]
+          : [`${(t?.dealt || 0).toLocaleString()} dmg`, t?.heals ? `${t.heals} heal${t.heals === 1 ? "" : "s"}` : null, t?.status === "left" ? "Left" : null];
+        return `
+          <div class="raid-member${m.id === authUser?.id ? " me" : ""}">
+            <span>${escapeHTML(m.name || "Player")}</span>
+            <span class="muted mono">${escapeHTML(bits.filter(Boolean).join(" • "))}</span>
+          </div>
+        `;
+      }).join("");
+
+    $("#raidState").textContent = !inRaid ? "Idle. Raids need 2+ raiders with accounts."
+      : Raid.phase === "lobby" ? (Raid.isHost ? `Lobby open. Share code ${Raid.code}, then start.` : "In the lobby. The host starts the raid.")
+      : Raid.phase === "fighting" ? `Fighting together: ${Raid.members.length} raiders. Keep the tab.`
+      : `Raid over: ${RAID_RESULT_LABELS[Raid.result] || "ended"}.`;
+
+    renderAwayLog($("#raidAwayLog"), Raid.phase === "ended" ? Raid.awayLog : null, {
+      startMs: Date.parse(Raid.startISO),
+      endMs: Raid.endedAt,
+      pending: Raid.phase === "fighting"
+    });
+  }
+
+  function renderRaidHistory() {
+    const list = loadJSON(ownedKey(LS.raidHistory), []);
+    const root = $("#raidHistory");
+    root.innerHTML = "";
+    if (!list.length) {
+      root.innerHTML = `<div class="muted">No raids recorded yet.</div>`;
+      return;
+    }
+    list.slice(0, 10).forEach(e => {
+      const div = document.createElement("div");
+      div.className = "history-item";
+      div.innerHTML = `
+        <div class="history-top">
+          <div class="history-title">${escapeHTML(`Raid ${e.code} • ${e.size} raiders`)}</div>
+          <div class="mono">${escapeHTML(e.dayKey)}</div>
+        </div>
+        <div class="history-sub">${escapeHTML([`${e.minutes} min`, RAID_RESULT_LABELS[e.result], `${e.dealt} dmg`, e.heals ? `${e.heals} heal${e.heals === 1 ? "" : "s"}` : null, historyAwayLabel(e)].filter(Boolean).join(" • "))}</div>
+      `;
+      root.appendChild(div);
+    });
+  }
+
+  // -----------------------------
+  // Active run persistence (Boss + Arena)
+  // -----------------------------
+  // A refresh/crash/tab eviction must not silently eat a running fight.
+  // The snapshot is rewritten every tick; stop/victory/fail clear it.
+  function saveActiveRun() {
+    let run = null;
+    if (Boss.running) {
+      run = {
+        mode: "bossFight",
+        runId: Boss.runId,
+        task: Boss.task,
+        selectedMin: Boss.selectedMin,
+        startISO: Boss.startISO,
+        remainingMs: Boss.remainingMs,
+        heals: Boss.heals,
+        rule: Boss.rule,
+        boss: { id: Boss.boss.id, shields: Boss.shieldsRaised, shieldUp: !!Boss.shield }
+      };
+    } else if (Arena.running || Arena.cycle) {
+      const c = Arena.cycle;
+      run = {
+        mode: "focusArena",
+        runId: Arena.runId,
+        task: null,
+        selectedMin: Arena.selectedMin,
+        startISO: Arena.startISO,
+        remainingMs: Arena.remainingMs,
+        heals: 0,
+        rule: Arena.rule,
+        cycle: c ? {
+          id: c.id, rounds: c.rounds, focusMin: c.focusMin, shortMin: c.shortMin, longMin: c.longMin,
+          round: c.round, phase: c.phase, cleared: c.cleared, startISO: c.startISO, rule: c.rule,
+          breakRemainingMs: c.breakRemainingMs
+        } : null
+      };
+    }
+    if (run) saveJSON(LS.activeRun, { ...run, away: leaveRuleAway(), savedAt: new Date().toISOString() });
+  }
+
+  function clearActiveRun() {
+    localStorage.removeItem(LS.activeRun);
+  }
+
+  function loadActiveRun() {
+    const run = loadJSON(LS.activeRun, null);
+    if (!run || (run.mode !== "bossFight" && run.mode !== "focusArena")) return null;
+    if (!run.startISO || !isFinite(run.selectedMin) || !isFinite(run.remainingMs)) return null;
+    return run;
+  }
+
+  function selectPreset(selector, attr, min) {
+    $$(selector).forEach(b => b.classList.toggle("active", parseInt(b.getAttribute(attr), 10) === min));
+  }
+
+  function resumeActiveRun(run) {
+    if (run.mode === "bossFight") {
+      enterMode("bossFight");
+      selectPreset("#screenBossFight .seg-btn[data-min]", "data-min", run.selectedMin);
+      bossSetDuration(run.selectedMin);
+      bossBegin({
+        task: run.task || "Unnamed task",
+        runId: run.runId || newRunId(),
+        startISO: run.startISO,
+        remainingMs: run.remainingMs,
+        heals: run.heals || 0,
+        rule: run.rule,
+        away: run.away,
+        boss: run.boss
+      });
+      toast("Boss Fight", "Fight resumed. The boss remembers.");
+    } else {
+      enterMode("focusArena");
+      selectPreset("#screenFocusArena .seg-btn[data-focus-min]", "data-focus-min", run.selectedMin);
+      arenaSetDuration(run.selectedMin);
+      if (run.cycle) {
+        Arena.cycle = { ...run.cycle, breakKind: null, breakTimer: null };
+        if (run.cycle.phase === "break") {
+          Arena.runId = run.runId;
+          cycleBreak(run.cycle.breakRemainingMs);
+          toast("Focus Arena", "Cycle resumed. Still on your break.");
+          return;
+        }
+      }
+      arenaBegin({
+        rule: run.rule,
+        away: run.away,
+        runId: run.runId || newRunId(),
+        startISO: run.startISO,
+        remainingMs: run.remainingMs
+      });
+      toast("Focus Arena", run.cycle ? `Cycle resumed: round ${run.cycle.round} / ${run.cycle.rounds}.` : "Session resumed. Back to silence.");
+    }
+  }
+
+  async function abandonActiveRun(run) {
+    clearActiveRun();
+
+    const c = run.cycle;
+    const inBreak = c && c.phase === "break";
+    const base = { dayKey: userDayKey(new Date(run.startISO)), minutes: run.selectedMin, ts: Date.now(), result: "abandoned", rule: run.rule, away: run.away?.log || null };
+    if (c) await abandonCycle(run);
+    if (inBreak) {
+      toast("Run abandoned", "Cycle marked as abandoned. Fresh start.");
+      return;
+    }
+    if (run.mode === "focusArena") pushHistory(ownedKey(LS.arenaHistory), c ? { ...base, cycle: { round: c.round, rounds: c.rounds } } : base);
+    else pushHistory(ownedKey(LS.bossHistory), { ...base, task: run.task || "Unnamed task", boss: getBossById(run.boss?.id)?.name, heals: run.heals || 0 });
+
+    // DB: close the run at the last moment we know it was alive
+    await dbInsertSession({
+      mode: run.mode,
+      runId: run.runId,
+      taskName: run.task,
+      durationMinutes: run.selectedMin,
+      status: "abandoned",
+      startedAtISO: run.startISO,
+      endedAtISO: run.savedAt || new Date().toISOString(),
+      dayUtc: userDayKey(new Date(run.startISO)),
+      leaveRule: run.rule,
+      awayLog: run.away?.log || null,
+      heals: run.heals,
+      bossName: getBossById(run.boss?.id)?.name,
+      ...(c ? { cycleId: c.id, cycleRound: c.round, cycleRounds: c.rounds } : {})
+    });
+
+    toast("Run abandoned", "Marked as abandoned. Fresh start.");
+  }
+
+  async function abandonCycle(run) {
+    const c = run.cycle;
+    pushHistory(ownedKey(LS.cycleHistory), {
+      dayKey: userDayKey(new Date(c.startISO)),
+      ts: Date.now(),
+      rounds: c.rounds,
+      cleared: c.cleared,
+      minutes: c.focusMin,
+      result: "abandoned",
+      rule: c.rule
+    });
+    await dbInsertSession({
+      mode: "focusCycle",
+      runId: c.id,
+      durationMinutes: c.rounds * c.focusMin,
+      status: "abandoned",
+      startedAtISO: c.startISO,
+      endedAtISO: run.savedAt || new Date().toISOString(),
+      dayUtc: userDayKey(new Date(c.startISO)),
+      leaveRule: c.rule,
+      cycleId: c.id,
+      cycleRound: c.cleared,
+      cycleRounds: c.rounds
+    });
+  }
+
+  function offerResumeActiveRun() {
+    const run = loadActiveRun();
+    if (!run) {
+      clearActiveRun();
+      return;
+    }
+    // Entry gate / onboarding still open: keep the snapshot, ask next time.
+    if (!modalBackdrop.hidden) return;
+
+    const label = run.mode === "bossFight" ? `Boss Fight: “${run.task || "Unnamed task"}”`
+      : run.cycle ? `Focus Arena cycle (round ${run.cycle.round} / ${run.cycle.rounds}${run.cycle.phase === "break" ? ", on a break" : ""})`
+      : "Focus Arena";
+    openModal({
+      title: "Unfinished run",
+      locked: true,
+      body: `
+        <p><b>${escapeHTML(label)}</b> (${escapeHTML(`${run.selectedMin} min`)}) was still running when the page closed.</p>
+        <p>${escapeHTML(msToClock(run.cycle?.phase === "break" ? run.cycle.breakRemainingMs : run.remainingMs))} left. Resume it or mark it abandoned. The ${escapeHTML(leaveRuleTag(run.rule))} leave rule applies again on resume.</p>
+      `,
+      actions: [
+        {
+          label: "Mark abandoned",
+          variant: "ghost",
+          onClick: async () => {
+            closeModalForce();
+            await abandonActiveRun(run);
+          }
+        },
+        {
+          label: "Resume",
+          variant: "primary",
+          onClick: () => {
+            closeModalForce();
+            resumeActiveRun(run);
+          }
+        }
+      ]
+    });
+  }
+
+  // -----------------------------
+  // Leaderboards (Auth mode only)
+  // -----------------------------
+  const LEADERBOARD_TOP_N = 20;
+  const LEADERBOARD_TTL_MS = 60 * 1000;
+
+  const Leaderboard = {
+    metric: "streak", // 'streak' | 'minutes' | 'challenges'
+    period: "week",   // 'day' | 'week' | 'all' (streak is always current)
+    cache: new Map(), // `${metric}:${period}` -> {rows, at}
+    loadSeq: 0
+  };
+
+  // Monday of the week a day key falls in
+  function weekStartOf(dayKey) {
+    const dow = (new Date(dayKey + "T00:00:00Z").getUTCDay() + 6) % 7;
+    return addDays(dayKey, -dow);
+  }
+
+  // Monday 00:00 UTC of the current week
+  function utcWeekStartKey(d = new Date()) {
+    return weekStartOf(utcDayKey(d));
+  }
+
+  function leaderboardSince(period) {
+    if (period === "day") return utcDayKey();
+    if (period === "week") return utcWeekStartKey();
+    return null;
+  }
+
+  function leaderboardValueLabel(metric, value) {
+    if (metric === "streak") return `${value} day${value === 1 ? "" : "s"}`;
+    if (metric === "minutes") return `${value.toLocaleString()} min`;
+    return `${value} win${value === 1 ? "" : "s"}`;
+  }
+
+  // Aggregated server-side by the leaderboard() function (tools/leaderboard.sql): raw rows
+  // never leave the database, and the top N comes back whatever the row count.
+  async function loadLeaderboard(metric, period) {
+    const key = `${metric}:${metric === "streak" ? "now" : period}`;
+    const hit = Leaderboard.cache.get(key);
+    if (hit && Date.now() - hit.at < LEADERBOARD_TTL_MS) return hit;
+
+    const { data, error } = await supabase.rpc("leaderboard", {
+      p_metric: metric,
+      p_since: metric === "streak" ? null : leaderboardSince(period),
+      p_top_n: LEADERBOARD_TOP_N
+    });
+    if (error) throw error;
+
+    const rows = (data || []).map(r => ({
+      userId: r.user_id,
+      name: r.display_name,
+      color: r.circle_color,
+      value: r.value,
+      rank: r.rank
+    }));
+    const shown = rows.slice(0, LEADERBOARD_TOP_N);
+    const me = rows.find(r => r.userId === authUser.id) || null;
+
+    const entry = { shown, me, at: Date.now() };
+    Leaderboard.cache.set(key, entry);
+    return entry;
+  }
+
+  function leaderboardRowHTML(r, metric) {
+    const name = r.name || "Anonymous player";
+    const color = r.color || "var(--accent)";
+    const isMe = isAuthActive() && r.userId === authUser.id;
+    return `
+      <div class="lb-row${isMe ? " me" : ""}">
+        <div class="lb-rank mono">#${r.rank}</div>
+        <div class="lb-dot" style="background:${escapeAttr(color)}"></div>
+        <div class="lb-name">${escapeHTML(name)}${isMe ? " <span class=\"muted\">(you)</span>" : ""}</div>
+        <div class="lb-value mono">${escapeHTML(leaderboardValueLabel(metric, r.value))}</div>
+      </div>
+    `;
+  }
+
+  async function renderLeaderboard() {
+    const root = $("#leaderboardList");
+    const { metric, period } = Leaderboard;
+
+    $$("#lbMetricSeg .seg-btn").forEach(b => b.classList.toggle("active", b.getAttribute("data-lb-metric") === metric));
+    $$("#lbPeriodSeg .seg-btn").forEach(b => {
+      b.classList.toggle("active", b.getAttribute("data-lb-period") === period);
+      b.disabled = metric === "streak";
+    });
+    $("#leaderboardHint").textContent = metric === "streak"
+      ? "Streak is always current: consecutive completed days, today or yesterday included."
+      : "Focus minutes = cleared Boss Fight + Focus Arena + Co-op Raid time. Weeks start Monday (UTC).";
+
+    if (!isAuthActive() || !supabase) {
+      $("#leaderboardUpdated").textContent = "—";
+      root.innerHTML = `
+        <div class="muted">Leaderboards need an account. Anonymous runs stay on this device.</div>
+        <div class="panel-actions"><button class="btn primary" type="button" id="lbLoginBtn">Log in / Register</button></div>
+      `;
+      $("#lbLoginBtn").addEventListener("click", () => openAuthModal({ mode: "login" }));
+      return;
+    }
+
+    const seq = ++Leaderboard.loadSeq;
+    root.innerHTML = `<div class="muted">Loading…</div>`;
+
+    let data;
+    try {
+      data = await loadLeaderboard(metric, period);
+    } catch (e) {
+      console.warn("leaderboard load failed", e);
+      if (seq === Leaderboard.loadSeq) root.innerHTML = `<div class="muted">Could not load the leaderboard. Check your connection / the leaderboard() function.</div>`;
+      return;
+    }
+    if (seq !== Leaderboard.loadSeq) return; // a newer tab click won
+
+    $("#leaderboardUpdated").textContent = new Date(data.at).toISOString().slice(11, 16) + " UTC";
+
+    if (!data.shown.length) {
+      root.innerHTML = `<div class="muted">Nobody on the board yet. Be the first.</div>`;
+      return;
+    }
+
+    let html = data.shown.map(r => leaderboardRowHTML(r, metric)).join("");
+    if (data.me && !data.shown.includes(data.me)) {
+      html += `<div class="lb-gap">…</div>` + leaderboardRowHTML(data.me, metric);
+    } else if (!data.me) {
+      html += `<div class="lb-gap">You’re not on this board yet.</div>`;
+    }
+    root.innerHTML = html;
+  }
+
+  // -----------------------------
+  // Stats
+  // -----------------------------
+  // Anonymous reads local history; Auth reads the user's own daily_runs/sessions.
+  // Both are normalized to {days: [{day, status}], sessions: [{mode, status, minutes, day, heals}]}.
+  const STATS_PRESETS = [10, 15, 25, 45, 50];
+  const STATS_WEEKS = 12;
+  const STATS_HEATMAP_WEEKS = 53;
+
+  const Stats = {
+    loadSeq: 0
+  };
+
+  function collectLocalStats() {
+    const { runs, sessions } = collectAnonHistory();
+    const days = runs.map(r => ({ day: r.day_utc, status: r.status }));
+    getFreezeHistory().forEach(f => days.push({ day: f.dayKey, status: "frozen" }));
+    return {
+      days,
+      sessions: sessions.map(e => ({ mode: e.mode, status: e.status, minutes: e.minutes, day: e.dayKey, heals: e.heals }))
+    };
+  }
+
+  async function fetchAuthStats() {
+    const [runs, sessions] = await Promise.all([
+      selectAllRows(() => supabase
+        .from("daily_runs")
+        .select("day_utc, status")
+        .eq("user_id", authUser.id)
+        .order("day_utc", { ascending: false })),
+      selectAllRows(() => supabase
+        .from("sessions")
+        .select("mode, status, duration_minutes, day_utc, heals")
+        .eq("user_id", authUser.id)
+        .order("started_at", { ascending: false })
+        .order("client_run_id"))
+    ]);
+    if (runs.error) throw runs.error;
+    if (sessions.error) throw sessions.error;
+
+    return {
+      days: (runs.data || []).map(r => ({ day: r.day_utc, status: r.status })),
+      sessions: (sessions.data || []).map(r => ({
+        mode: r.mode,
+        status: r.status,
+        minutes: r.duration_minutes,
+        day: r.day_utc,
+        heals: r.heals
+      }))
+    };
+  }
+
+  // Longest chain of completed days; frozen days bridge without counting.
+  function bestStreakFromDays(days, frozen = []) {
+    const done = new Set(days);
+    const bridged = new Set(frozen);
+    let best = 0;
+    done.forEach(day => {
+      // only walk forward from the start of a chain
+      const prev = addDays(day, -1);
+      if (done.has(prev) || bridged.has(prev)) return;
+      let n = 0;
+      for (let d = day; done.has(d) || bridged.has(d); d = addDays(d, 1)) {
+        if (done.has(d)) n += 1;
+      }
+      best = Math.max(best, n);
+    });
+    return best;
+  }
+
+  function computeStats({ days, sessions }) {
+    const byDay = new Map();
+    days.forEach(d => byDay.set(d.day, d.status));
+    const completed = days.filter(d => d.status === "completed").map(d => d.day);
+    const frozen = days.filter(d => d.status === "frozen").map(d => d.day);
+
+    const thisWeek = weekStartOf(userDayKey());
+    const weeks = Array.from({ length: STATS_WEEKS }, (_, i) => ({
+      week: addDays(thisWeek, -7 * (STATS_WEEKS - 1 - i)),
+      minutes: 0
+    }));
+    const weekIndex = new Map(weeks.map((w, i) => [w.week, i]));
+
+    // focusCycle rows summarize their rounds, which are sessions already.
+    const ended = sessions.filter(s => s.status !== "in_progress" && s.mode !== "focusCycle");
+    ended.forEach(s => {
+      if (s.status !== "cleared" || !s.day) return;
+      const i = weekIndex.get(weekStartOf(s.day));
+      if (i !== undefined) weeks[i].minutes += s.minutes || 0;
+    });
+
+    const presets = STATS_PRESETS.map(min => {
+      const runs = ended.filter(s => s.minutes === min);
+      return { min, total: runs.length, cleared: runs.filter(s => s.status === "cleared").length };
+    });
+
+    // Rows from before heals were recorded carry no count; leave them out.
+    const fights = ended.filter(s => s.mode === "bossFight" && Number.isFinite(s.heals));
+    const avgHeals = fights.length ? fights.reduce((n, s) => n + s.heals, 0) / fights.length : null;
+
+    return {
+      byDay,
+      weeks,
+      presets,
+      avgHeals,
+      healSample: fights.length,
+      bestStreak: Math.max(bestStreakFromDays(completed, frozen), getStreak()),
+      challengeWins: completed.length
+    };
+  }
+
+  const HEATMAP_LABELS = { completed: "Completed", failed: "Failed", in_progress: "In progress", frozen: "Frozen" };
+
+  function renderStatsHeatmap(byDay) {
+    const today = userDayKey();
+    const start = weekStartOf(addDays(today, -7 * (STATS_HEATMAP_WEEKS - 1)));
+    let html = "";
+    for (let d = start; d <= today; d = addDays(d, 1)) {
+      const st = byDay.get(d);
+      const label = `${d}: ${HEATMAP_LABELS[st] || "No run"}`;
+      html += `<div class="hm-cell${st ? ` ${escapeAttr(st)}` : ""}" title="${escapeAttr(label)}"></div>`;
+    }
+    $("#statsHeatmap").innerHTML = html;
+  }
+
+  function renderStatsWeeks(weeks) {
+    const max = Math.max(1, ...weeks.map(w => w.minutes));
+    $("#statsWeekly").innerHTML = weeks.map(w => `
+      <div class="week-bar" title="${escapeAttr(`Week of ${w.week}: ${w.minutes} min`)}">
+        <div class="week-bar-fill" style="height:${((w.minutes / max) * 100).toFixed(1)}%"></div>
+        <div class="week-bar-label mono">${escapeHTML(w.week.slice(5))}</div>
+      </div>
+    `).join("");
+    const total = weeks.reduce((n, w) => n + w.minutes, 0);
+    $("#statsWeeklyTotal").textContent = `${total.toLocaleString()} min in ${STATS_WEEKS} weeks • this week ${weeks[weeks.length - 1].minutes} min`;
+  }
+
+  function renderStatsPresets(presets) {
+    $("#statsPresets").innerHTML = presets.map(p => {
+      const pct = p.total ? Math.round((p.cleared / p.total) * 100) : null;
+      return `
+        <div class="rate-row">
+          <div class="mono">${p.min}m</div>
+          <div class="rate-bar"><div class="rate-fill" style="width:${pct || 0}%"></div></div>
+          <div class="rate-value mono">${pct === null ? "—" : `${pct}%`}</div>
+          <div class="muted rate-count">${p.cleared}/${p.total}</div>
+        </div>
+      `;
+    }).join("");
+  }
+
+  async function renderStats() {
+    const auth = isAuthActive() && !!supabase;
+    $("#statsSource").textContent = auth ? "Account" : "This device";
+
+    const seq = ++Stats.loadSeq;
+    let data;
+    if (auth) {
+      $("#statsKpis").innerHTML = `<div class="muted">Loading…</div>`;
+      try {
+        data = await fetchAuthStats();
+      } catch (e) {
+        console.warn("stats load failed", e);
+        if (seq === Stats.loadSeq) $("#statsKpis").innerHTML = `<div class="muted">Could not load stats. Check your connection / RLS.</div>`;
+        return;
+      }
+      if (seq !== Stats.loadSeq) return;
+    } else {
+      data = collectLocalStats();
+    }
+
+    const st = computeStats(data);
+    renderStatsHeatmap(st.byDay);
+    renderStatsWeeks(st.weeks);
+    renderStatsPresets(st.presets);
+
+    const heals = st.avgHeals === null ? "—" : st.avgHeals.toFixed(1);
+    $("#statsKpis").innerHTML = `
+      <div class="kpi"><div class="metric-label">Best streak</div><div class="kpi-value">${st.bestStreak}</div></div>
+      <div class="kpi"><div class="metric-label">Challenges won</div><div class="kpi-value">${st.challengeWins}</div></div>
+      <div class="kpi"><div class="metric-label">Avg boss heals</div><div class="kpi-value">${escapeHTML(heals)}</div>
+        <div class="hint">${escapeHTML(`${st.healSample} fight${st.healSample === 1 ? "" : "s"}`)}</div></div>
+    `;
+    $("#statsHint").textContent = auth
+      ? `From your account (all devices). Days run from ${dayFrameLabel()} midnight.`
+      : "From this device’s history. Log in to keep stats across devices.";
+  }
+
+  // -----------------------------
+  // Share text + share image
+  // -----------------------------
+  function buildShareText({ date, title, result, streak, extraLines = [] }) {
+    const lines = [
+      `You vs Everyone — Day ${date}`,
+      `Challenge: ${title}`,
+      `Result: ${result}`,
+    ];
+    if (typeof streak === "number") lines.push(`Streak: ${streak}`);
+    extraLines.forEach(l => lines.push(l));
+    return lines.join("\n");
+  }
+
+  async function copyToClipboard(text, what = "Share text") {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast("Copied", `${what} copied to clipboard.`);
+    } catch {
+      const ta = document.createElement("textarea");
+      ta.value = text;
+      document.body.appendChild(ta);
+      ta.select();
+      try { document.execCommand("copy"); toast("Copied", `${what} copied (fallback).`); }
+      catch { toast("Copy failed", "Your browser blocked clipboard."); }
+      ta.remove();
+    }
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+      URL.revokeObjectURL(url);
+      a.remove();
+    }, 100);
+  }
+
+  function roundRect(ctx, x, y, w, h, r) {
+    const rr = Math.min(r, w / 2, h / 2);
+    ctx.beginPath();
+    ctx.moveTo(x + rr, y);
+    ctx.arcTo(x + w, y, x + w, y + h, rr);
+    ctx.arcTo(x + w, y + h, x, y + h, rr);
+    ctx.arcTo(x, y + h, x, y, rr);
+    ctx.arcTo(x, y, x + w, y, rr);
+    ctx.closePath();
+  }
+
+  // -----------------------------
+  // Share card templates
+  // -----------------------------
+  // A template declares:
+  // - fields: per-field style {font, weight, color (palette key), lineHeight, maxLines, align, upper}
+  // - layouts: per format, the box each field is fitted into ([x, y, w, h, maxSize, minSize] px;
+  //   circle {x, y, r}; rule: y of the divider or null)
+  // - palette: colours per theme (a template with only `any` ignores the theme)
+  // - backdrop: 'glow' | 'band' | 'paper', and panel: null | {radius, dashed}
+  // Text wraps inside its box and shrinks towards minSize; what still doesn't fit ends in "…".
+  const SHARE_FORMATS = {
+    landscape: { id: "landscape", label: "Landscape", w: 1200, h: 630 },
+    story: { id: "story", label: "Story", w: 1080, h: 1920 },
+    square: { id: "square", label: "Square", w: 1080, h: 1080 }
+  };
+  const SHARE_STRIP_DAYS = 7;
+  const SHARE_FONTS = {
+    sans: "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial",
+    mono: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, Liberation Mono, Courier New, monospace"
+  };
+
+  // Panel-and-divider geometry, shared by Classic and Receipt.
+  const CARD_LAYOUTS = {
+    landscape: {
+      inset: 70, rule: 250, circle: { x: 1080, y: 152, r: 24 },
+      brand: [120, 112, 880, 66, 54, 36], subtitle: [120, 190, 960, 36, 26, 18],
+      title: [120, 268, 960, 88, 40, 26], lines: [120, 360, 960, 112, 28, 18],
+      strip: [850, 480, 230, 26], footer: [120, 480, 700, 28, 22, 14]
+    },
+    story: {
+      inset: 60, rule: 460, circle: { x: 920, y: 300, r: 48 },
+      brand: [110, 250, 740, 100, 80, 48], subtitle: [110, 370, 860, 56, 38, 24],
+      title: [110, 520, 860, 300, 72, 40], lines: [110, 860, 860, 560, 46, 28],
+      strip: [110, 1480, 820, 150], footer: [110, 1700, 860, 60, 30, 18]
+    },
+    square: {
+      inset: 60, rule: 320, circle: { x: 930, y: 200, r: 36 },
+      brand: [110, 160, 740, 80, 64, 40], subtitle: [110, 250, 860, 44, 32, 20],
+      title: [110, 350, 860, 150, 56, 32], lines: [110, 520, 860, 260, 36, 22],
+      strip: [110, 800, 540, 96], footer: [110, 940, 860, 40, 24, 16]
+    }
+  };
+
+  const SHARE_TEMPLATES = {
+    classic: {
+      id: "classic",
+      label: "Classic",
+      backdrop: "glow",
+      panel: { radius: 34, dashed: false },
+      fields: {
+        brand: { font: "sans", weight: 800, color: "ink", maxLines: 1 },
+        subtitle: { font: "sans", weight: 600, color: "sub", maxLines: 1 },
+        title: { font: "sans", weight: 800, color: "ink", maxLines: 3 },
+        lines: { font: "sans", weight: 650, color: "body", lineHeight: 1.5 },
+        footer: { font: "mono", weight: 650, color: "faint", maxLines: 1 },
+        strip: { font: "sans", weight: 650, color: "sub" }
+      },
+      layouts: CARD_LAYOUTS,
+      palette: {
+        dark: {
+          bg: "#0b0c10", glowA: "rgba(141,217,255,0.18)", glowB: "rgba(178,255,204,0.14)",
+          panel: "rgba(255,255,255,0.06)", border: "rgba(255,255,255,0.12)",
+          ink: "rgba(255,255,255,0.92)", sub: "rgba(255,255,255,0.62)", body: "rgba(255,255,255,0.70)", faint: "rgba(255,255,255,0.45)",
+          accent: "#8dd9ff", done: "rgba(178,255,204,0.9)", frozen: "rgba(141,217,255,0.45)", empty: "rgba(255,255,255,0.08)", open: "rgba(255,255,255,0.35)"
+        },
+        light: {
+          bg: "#f6f7fb", glowA: "rgba(31,143,255,0.18)", glowB: "rgba(18,182,107,0.14)",
+          panel: "rgba(255,255,255,0.88)", border: "rgba(10,12,16,0.10)",
+          ink: "rgba(10,12,16,0.92)", sub: "rgba(10,12,16,0.62)", body: "rgba(10,12,16,0.70)", faint: "rgba(10,12,16,0.45)",
+          accent: "#1f8fff", done: "rgba(18,182,107,0.9)", frozen: "rgba(31,143,255,0.45)", empty: "rgba(10,12,16,0.08)", open: "rgba(10,12,16,0.35)"
+        }
+      }
+    },
+    poster: {
+      id: "poster",
+      label: "Poster",
+      backdrop: "band",
+      panel: null,
+      fields: {
+        brand: { font: "sans", weight: 800, color: "accent", maxLines: 1, upper: true },
+        subtitle: { font: "sans", weight: 700, color: "sub", maxLines: 2 },
+        title: { font: "sans", weight: 900, color: "ink", maxLines: 4, lineHeight: 1.05 },
+        lines: { font: "sans", weight: 700, color: "body", lineHeight: 1.45 },
+        footer: { font: "mono", weight: 600, color: "faint", maxLines: 1 },
+        strip: { font: "sans", weight: 800, color: "accent", upper: true }
+      },
+      layouts: {
+        landscape: {
+          rule: null, circle: { x: 1120, y: 80, r: 22 },
+          brand: [80, 58, 800, 40, 26, 18], title: [80, 118, 1040, 200, 84, 40],
+          subtitle: [80, 330, 1040, 44, 30, 20], lines: [80, 392, 700, 160, 28, 18],
+          strip: [820, 500, 300, 40], footer: [80, 562, 700, 30, 20, 14]
+        },
+        story: {
+          rule: null, circle: { x: 990, y: 170, r: 40 },
+          brand: [90, 140, 800, 60, 36, 24], title: [90, 300, 900, 700, 150, 64],
+          subtitle: [90, 1030, 900, 120, 42, 28], lines: [90, 1170, 900, 400, 48, 28],
+          strip: [90, 1600, 900, 150], footer: [90, 1800, 900, 50, 28, 18]
+        },
+        square: {
+          rule: null, circle: { x: 1000, y: 105, r: 30 },
+          brand: [80, 80, 800, 50, 30, 20], title: [80, 170, 920, 390, 110, 48],
+          subtitle: [80, 580, 920, 50, 36, 24], lines: [80, 650, 920, 220, 36, 22],
+          strip: [80, 890, 540, 70], footer: [80, 1000, 920, 40, 24, 16]
+        }
+      },
+      palette: {
+        any: {
+          bg: "#14112b", band: "rgba(255,211,107,0.12)",
+          ink: "#ffffff", sub: "rgba(255,255,255,0.72)", body: "rgba(255,255,255,0.82)", faint: "rgba(255,255,255,0.5)",
+          accent: "#ffd36b", done: "#ffd36b", frozen: "rgba(141,217,255,0.6)", empty: "rgba(255,255,255,0.1)", open: "rgba(255,255,255,0.45)"
+        }
+      }
+    },
+    receipt: {
+      id: "receipt",
+      label: "Receipt",
+      backdrop: "paper",
+      panel: { radius: 6, dashed: true },
+      fields: {
+        brand: { font: "mono", weight: 800, color: "ink", maxLines: 1, upper: true },
+        subtitle: { font: "mono", weight: 500, color: "sub", maxLines: 2 },
+        title: { font: "mono", weight: 800, color: "ink", maxLines: 3 },
+        lines: { font: "mono", weight: 500, color: "body", lineHeight: 1.5 },
+        footer: { font: "mono", weight: 500, color: "faint", maxLines: 1 },
+        strip: { font: "mono", weight: 600, color: "sub" }
+      },
+      layouts: CARD_LAYOUTS,
+      palette: {
+        any: {
+          bg: "#e9e4d8", panel: "#fbf8f1", border: "rgba(40,34,24,0.35)",
+          ink: "#28221a", sub: "rgba(40,34,24,0.66)", body: "rgba(40,34,24,0.82)", faint: "rgba(40,34,24,0.5)",
+          accent: "#28221a", done: "#28221a", frozen: "rgba(40,34,24,0.35)", empty: "rgba(40,34,24,0.08)", open: "rgba(40,34,24,0.5)"
+        }
+      }
+    }
+  };
+
+  function getShareFormat() {
+    const id = localStorage.getItem(LS.shareFormat);
+    return SHARE_FORMATS[id] ? id : "landscape";
+  }
+
+  function setShareFormat(id) {
+    localStorage.setItem(LS.shareFormat, SHARE_FORMATS[id] ? id : "landscape");
+    renderShareFormat();
+  }
+
+  function getShareTemplate() {
+    const id = localStorage.getItem(LS.shareTemplate);
+    return SHARE_TEMPLATES[id] ? id : "classic";
+  }
+
+  function setShareTemplate(id) {
+    localStorage.setItem(LS.shareTemplate, SHARE_TEMPLATES[id] ? id : "classic");
+    renderShareFormat();
+  }
+
+  function renderShareFormat() {
+    const format = getShareFormat();
+    const template = getShareTemplate();
+    $$("[data-share-format]").forEach(b => b.classList.toggle("active", b.getAttribute("data-share-format") === format));
+    $$(".share-template").forEach(seg => {
+      seg.innerHTML = Object.values(SHARE_TEMPLATES).map(t => `
+        <button class="seg-btn${t.id === template ? " active" : ""}" type="button" data-share-template="${t.id}">${escapeHTML(t.label)}</button>
+      `).join("");
+    });
+  }
+
+  // Canvas can't read CSS variables: anonymous cards use the palette's accent.
+  function shareCircleColor(pal) {
+    const c = authProfile?.circle_style?.color;
+    if (isAuthActive() && typeof c === "string" && /^#[0-9a-f]{3,8}$/i.test(c)) return c;
+    return pal.accent;
+  }
+
+  function shareFont(style, size) {
+    return `${style.weight} ${size}px ${SHARE_FONTS[style.font] || SHARE_FONTS.sans}`;
+  }
+
+  // Greedy word wrap; a word wider than the box is broken by characters.
+  function wrapText(ctx, text, width) {
+    const out = [];
+    let line = "";
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+      const next = line ? `${line} ${word}` : word;
+      if (ctx.measureText(next).width <= width) {
+        line = next;
+        return;
+      }
+      if (line) out.push(line);
+      line = "";
+      for (const ch of word) {
+        if (line && ctx.measureText(line + ch).width > width) {
+          out.push(line);
+          line = "";
+        }
+        line += ch;
+      }
+    });
+    if (line) out.push(line);
+    return out;
+  }
+
+  function ellipsize(ctx, text, width) {
+    let t = text;
+    while (t && ctx.measureText(`${t}…`).width > width) t = t.slice(0, -1);
+    return `${t.trimEnd()}…`;
+  }
+
+  // Fits paragraphs (one per item) into box = [x, y, w, h, maxSize, minSize].
+  // Returns {size, lineHeight, rows}; rows past the box at minSize are cut.
+  function fitParagraphs(ctx, items, box, style) {
+    const [, , w, h, maxSize, minSize] = box;
+    const lh = style.lineHeight || 1.2;
+    const maxLines = style.maxLines || Infinity;
+    const texts = items.map(t => style.upper ? String(t).toUpperCase() : String(t));
+    const step = Math.max(1, Math.round(maxSize / 24));
+    let size = maxSize;
+    let rows = [];
+    for (; size >= minSize; size -= step) {
+      ctx.font = shareFont(style, size);
+      rows = texts.flatMap(t => wrapText(ctx, t, w));
+      if (rows.length <= maxLines && rows.length * size * lh <= h) return { size, lineHeight: size * lh, rows };
+    }
+    // Still too long at minSize: trim the longest paragraph first, so one
+    // long task name doesn't push the short lines under it off the card.
+    size = minSize;
+    ctx.font = shareFont(style, size);
+    const fit = Math.max(1, Math.min(maxLines, Math.floor(h / (size * lh))));
+    const paras = texts.map(t => wrapText(ctx, t, w));
+    const cut = new Set();
+    while (paras.reduce((n, p) => n + p.length, 0) > fit) {
+      const longest = paras.reduce((a, p) => (p.length > a.length ? p : a));
+      if (longest.length <= 1) break;
+      longest.pop();
+      cut.add(longest);
+    }
+    cut.forEach(p => { p[p.length - 1] = ellipsize(ctx, p[p.length - 1], w); });
+    rows = paras.flat();
+    if (rows.length > fit) rows = rows.slice(0, fit - 1).concat(ellipsize(ctx, rows[fit - 1], w));
+    return { size, lineHeight: size * lh, rows };
+  }
+
+  function drawField(ctx, items, box, style, pal) {
+    if (!box || !items.length) return;
+    const [x, y, w] = box;
+    const { size, lineHeight, rows } = fitParagraphs(ctx, items, box, style);
+    ctx.font = shareFont(style, size);
+    ctx.fillStyle = pal[style.color] || pal.ink;
+    ctx.textBaseline = "top";
+    ctx.textAlign = style.align || "left";
+    const tx = style.align === "center" ? x + w / 2 : style.align === "right" ? x + w : x;
+    rows.forEach((row, i) => ctx.fillText(row, tx, y + i * lineHeight + (lineHeight - size) / 2));
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+  }
+
+  function drawBackdrop(ctx, t, L, pal, W, H) {
+    ctx.fillStyle = pal.bg;
+    ctx.fillRect(0, 0, W, H);
+
+    if (t.backdrop === "glow") {
+      [[0.22, pal.glowA, 0.45], [0.82, pal.glowB, 0.47]].forEach(([at, color, reach]) => {
+        const g = ctx.createRadialGradient(W * at, H * at, 40, W * at, H * at, Math.max(W, H) * reach);
+        g.addColorStop(0, color);
+        g.addColorStop(1, "rgba(0,0,0,0)");
+        ctx.fillStyle = g;
+        ctx.fillRect(0, 0, W, H);
+      });
+    } else if (t.backdrop === "band") {
+      ctx.fillStyle = pal.band;
+      ctx.beginPath();
+      ctx.moveTo(0, H * 0.62);
+      ctx.lineTo(W, H * 0.38);
+      ctx.lineTo(W, H * 0.58);
+      ctx.lineTo(0, H * 0.82);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    if (t.panel) {
+      roundRect(ctx, L.inset, L.inset, W - L.inset * 2, H - L.inset * 2, t.panel.radius);
+      ctx.fillStyle = pal.panel;
+      ctx.fill();
+      ctx.strokeStyle = pal.border;
+      ctx.lineWidth = 2;
+      if (t.panel.dashed) ctx.setLineDash([12, 8]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    if (L.rule !== null && L.rule !== undefined) {
+      const x = L.brand[0];
+      ctx.strokeStyle = pal.border;
+      ctx.lineWidth = 2;
+      if (t.panel && t.panel.dashed) ctx.setLineDash([12, 8]);
+      ctx.beginPath();
+      ctx.moveTo(x, L.rule);
+      ctx.lineTo(W - x, L.rule);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }
+
+  // Box [x, y, w, h]: a label row on top when there's room, then one cell per day.
+  function drawStreakStrip(ctx, box, style, pal) {
+    const [x, y, w, h] = box;
+    const gap = Math.round(w / SHARE_STRIP_DAYS * 0.16);
+    const labelled = h >= 60;
+    const labelSize = Math.round(h * 0.2);
+    const cellTop = labelled ? y + labelSize * 1.6 : y;
+    const cell = Math.min(y + h - cellTop, (w - gap * (SHARE_STRIP_DAYS - 1)) / SHARE_STRIP_DAYS);
+    if (labelled) {
+      drawField(ctx, [`Last ${SHARE_STRIP_DAYS} days • streak ${getStreak()}`], [x, y, w, labelSize * 1.4, labelSize, Math.round(labelSize * 0.7)], { ...style, maxLines: 1 }, pal);
+    }
+    recentStreakDays(SHARE_STRIP_DAYS).forEach((d, i) => {
+      roundRect(ctx, x + i * (cell + gap), cellTop, cell, cell, cell * 0.25);
+      ctx.fillStyle = d.state === "done" ? pal.done : d.state === "frozen" ? pal.frozen : pal.empty;
+      ctx.fill();
+      if (d.state === "open") {
+        ctx.strokeStyle = pal.open;
+        ctx.lineWidth = Math.max(2, cell * 0.05);
+        ctx.stroke();
+      }
+    });
+  }
+
+  // card: {title, subtitle, lines, footer}
+  function drawShareCard({ title, subtitle, lines, footer, format = getShareFormat(), template = getShareTemplate() }) {
+    const theme = document.documentElement.getAttribute("data-theme") || "dark";
+    const F = SHARE_FORMATS[format] || SHARE_FORMATS.landscape;
+    const t = SHARE_TEMPLATES[template] || SHARE_TEMPLATES.classic;
+    const L = t.layouts[F.id];
+    const pal = t.palette[theme] || t.palette.any;
+    const W = F.w, H = F.h;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = W; canvas.height = H;
+    const ctx = canvas.getContext("2d");
 
-    // badges
-    const b = getArenaBadges() + 1;
-    setArenaBadges(b);
-    renderArenaBadges();
+    drawBackdrop(ctx, t, L, pal, W, H);
 
-    if (b % 3 === 0) toast("Badge", "Badge earned. Tiny reward, big ego.");
+    ctx.beginPath();
+    ctx.arc(L.circle.x, L.circle.y, L.circle.r, 0, Math.PI * 2);
+    ctx.fillStyle = shareCircleColor(pal);
+    ctx.fill();
 
-    // local history
-    const list = loadJSON(LS.arenaHistory, []);
-    const entry = { dayKey: utcDayKey(), minutes: Arena.selectedMin, ts: Date.now(), result: "cleared" };
-    list.unshift(entry);
-    saveJSON(LS.arenaHistory, list.slice(0, 30));
+    drawField(ctx, ["You vs Everyone"], L.brand, t.fields.brand, pal);
+    drawField(ctx, [subtitle], L.subtitle, t.fields.subtitle, pal);
+    drawField(ctx, [title], L.title, t.fields.title, pal);
+    drawField(ctx, lines, L.lines, t.fields.lines, pal);
+    drawStreakStrip(ctx, L.strip, t.fields.strip, pal);
+    drawField(ctx, [footer], L.footer, t.fields.footer, pal);
 
-    // DB: cleared
-    await dbInsertSession({
-      mode: "focusArena",
-      durationMinutes: Arena.selectedMin,
-      status: "cleared",
-      startedAtISO: Arena.startISO,
-      endedAtISO: new Date().toISOString()
-    });
+    return canvas;
+  }
 
-    $("#shareArenaResult").textContent = "CLEARED ✅";
-    $("#shareArenaDur").textContent = `${Arena.selectedMin} min`;
-    $("#shareArenaBadges").textContent = `${(b % 3)} / 3`;
-    $("#copyShare3").disabled = false;
-    $("#downloadShare3").disabled = false;
+  // -----------------------------
+  // Share actions (copy / download / Web Share)
+  // -----------------------------
+  function canvasToBlob(canvas) {
+    return new Promise(resolve => canvas.toBlob(resolve, "image/png", 0.92));
+  }
 
-    renderArenaHistory();
+  // Per mode: {text, card: drawShareCard args, name, run: result link fields} from the proof card on screen.
+  function challengeShare() {
+    const st = getTodayChallengeState();
+    const c = getTodaysChallenge();
+    const date = userDayKey();
+    const streak = getStreak();
+    const result = st.state === "completed" ? "COMPLETED ✅" : st.state === "failed" ? "FAILED ❌" : "—";
+    const note = st.state === "completed" ? journalCardNote(st.dayKey) : null;
+    const noteLines = note ? [`Note: “${note}”`] : [];
+    return {
+      text: buildShareText({ date, title: c.title, result, streak, extraLines: [`Rule: ${leaveRuleTag(st.rule)}`, ...noteLines] }),
+      card: {
+        title: c.title,
+        subtitle: `Day ${date} • 24h Challenge`,
+        lines: [`Result: ${result}`, `Streak: ${streak}`, `Rule: ${leaveRuleTag(st.rule)}`, ...noteLines],
+        footer: "Simulated crowd • Local-only (anon) • No tracking"
+      },
+      name: `yve_${date}_challenge`,
+      run: challengeShareRun()
+    };
   }
 
-  async function arenaFail(reason = "Failed.") {
-    if (!Arena.running) return;
+  function bossShare() {
+    const date = userDayKey();
+    const boss = $("#shareBossName").textContent.trim();
+    const task = $("#shareBossTask").textContent.trim();
+    const dur = $("#shareBossDur").textContent.trim();
+    const rule = $("#shareBossRule").textContent.trim();
+    return {
+      text: [
+        `You vs Everyone — Day ${date}`,
+        `Boss Fight: ${boss} defeated ✅`,
+        `Task: ${task}`,
+        `Duration: ${dur}`,
+        `Rule: ${rule}`
+      ].join("\n"),
+      card: {
+        title: "Boss Defeated",
+        subtitle: `Day ${date} • ${boss}`,
+        lines: [`Task: ${task}`, `Duration: ${dur}`, `Rule: ${rule}`],
+        footer: "Local-only (anon) • No tracking"
+      },
+      name: `yve_${date}_bossfight`,
+      run: ShareRuns.bossFight
+    };
+  }
 
-    await arenaStop("Failed.");
-    toast("Session failed", reason);
+  function arenaShare() {
+    const date = userDayKey();
+    const res = $("#shareArenaResult").textContent.trim();
+    const dur = $("#shareArenaDur").textContent.trim();
+    const badges = $("#shareArenaBadges").textContent.trim();
+    const rule = $("#shareArenaRule").textContent.trim();
+    return {
+      text: [
+        `You vs Everyone — Day ${date}`,
+        `Focus Arena`,
+        `Result: ${res}`,
+        `Session: ${dur}`,
+        `Badges: ${badges}`,
+        `Rule: ${rule}`
+      ].join("\n"),
+      card: {
+        title: "Focus Arena",
+        subtitle: `Day ${date} • Silent session`,
+        lines: [`Result: ${res}`, `Session: ${dur}`, `Badges: ${badges}`, `Rule: ${rule}`],
+        footer: "Simulated presence • Local-only (anon)"
+      },
+      name: `yve_${date}_arena`,
+      run: ShareRuns.focusArena
+    };
+  }
 
-    // local history
-    const list = loadJSON(LS.arenaHistory, []);
-    const entry = { dayKey: utcDayKey(), minutes: Arena.selectedMin, ts: Date.now(), result: "failed" };
-    list.unshift(entry);
-    saveJSON(LS.arenaHistory, list.slice(0, 30));
+  const SHARE_BUILDERS = { 1: challengeShare, 2: bossShare, 3: arenaShare };
 
-    // DB: failed
-    await dbInsertSession({
-      mode: "focusArena",
-      durationMinutes: Arena.selectedMin,
-      status: "failed",
-      startedAtISO: Arena.startISO,
-      endedAtISO: new Date().toISOString()
-    });
+  function setShareEnabled(n, on) {
+    [`#copyShare${n}`, `#downloadShare${n}`, `#nativeShare${n}`, `#linkShare${n}`].forEach(id => { $(id).disabled = !on; });
+  }
 
-    $("#shareArenaResult").textContent = "FAILED ❌";
-    $("#shareArenaDur").textContent = `${Arena.selectedMin} min`;
-    $("#shareArenaBadges").textContent = `${(getArenaBadges() % 3)} / 3`;
-    $("#copyShare3").disabled = false;
-    $("#downloadShare3").disabled = false;
+  async function renderShareImage(share) {
+    const format = getShareFormat();
+    const blob = await canvasToBlob(drawShareCard({ ...share.card, format }));
+    const filename = `${share.name}${format === "landscape" ? "" : `_${format}`}.png`;
+    return { blob, filename };
+  }
 
-    renderArenaHistory();
+  async function downloadShareImage(share) {
+    const { blob, filename } = await renderShareImage(share);
+    if (!blob) return toast("Download failed", "Canvas export failed.");
+    downloadBlob(blob, filename);
   }
 
-  function renderArenaHistory() {
-    const list = loadJSON(LS.arenaHistory, []);
-    const root = $("#arenaHistory");
-    root.innerHTML = "";
-    if (!list.length) {
-      root.innerHTML = `<div class="muted">No arena sessions recorded yet.</div>`;
-      return;
+  // Web Share with the image where the browser can; otherwise copy + download.
+  async function nativeShare(share) {
+    const { blob, filename } = await renderShareImage(share);
+    if (!blob) return toast("Share failed", "Canvas export failed.");
+    const file = new File([blob], filename, { type: "image/png" });
+    if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
+      try {
+        await navigator.share({ files: [file], text: share.text, title: "You vs Everyone" });
+        return;
+      } catch (e) {
+        if (e && e.name === "AbortError") return;
+        console.warn("navigator.share failed", e);
+      }
     }
-    list.slice(0, 10).forEach(e => {
-      const div = document.createElement("div");
-      div.className = "history-item";
-      const res = e.result === "cleared" ? "Cleared ✅" : "Failed ❌";
-      div.innerHTML = `
-        <div class="history-top">
-          <div class="history-title">${escapeHTML(`${e.minutes} min`)}</div>
-          <div class="mono">${escapeHTML(e.dayKey)}</div>
-        </div>
-        <div class="history-sub">${escapeHTML(res)}</div>
-      `;
-      root.appendChild(div);
-    });
+    await copyToClipboard(share.text);
+    downloadBlob(blob, filename);
   }
 
   // -----------------------------
-  // Share text + share image
+  // Result links (#/result?d=…)
   // -----------------------------
-  function buildShareText({ date, title, result, streak, extraLines = [] }) {
-    const lines = [
-      `You vs Everyone — Day ${date}`,
-      `Challenge: ${title}`,
-      `Result: ${result}`,
-    ];
-    if (typeof streak === "number") lines.push(`Streak: ${streak}`);
-    extraLines.forEach(l => lines.push(l));
-    return lines.join("\n");
+  // The fragment carries the run itself (base64url JSON), so a link opens
+  // without a lookup: {v, mode, day, result, rule: {id, thresholdMs,
+  // shortForgiven (null = unlimited), awayBudgetMs}, away, challengeId?,
+  // streak?, minutes?, task?, boss?}. Auth mode adds the stored row
+  // ({table, id}) that the viewer checks it against; the rest is as reported.
+  const RESULT_LINK_VERSION = 1;
+  const RESULT_LINK_MODES = {
+    challenge24: { label: "24h Challenge", table: "daily_runs", results: ["completed", "failed"] },
+    bossFight: { label: "Boss Fight", table: "sessions", results: ["cleared"] },
+    focusArena: { label: "Focus Arena", table: "sessions", results: ["cleared", "failed"] }
+  };
+  const RESULT_LINK_LABELS = { completed: "COMPLETED ✅", cleared: "CLEARED ✅", failed: "FAILED ❌" };
+
+  // Boss / Arena runs on the proof cards (the card outlives Boss.runId / Arena.runId).
+  const ShareRuns = { bossFight: null, focusArena: null };
+
+  function resultLinkRule(id) {
+    return { id: getLeaveRulePreset(id).id, ...leaveRuleValues(id) };
   }
 
-  async function copyToClipboard(text) {
+  function encodeResultLink(payload) {
+    let bin = "";
+    new TextEncoder().encode(JSON.stringify(payload)).forEach(b => { bin += String.fromCharCode(b); });
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function decodeResultLink(data) {
     try {
-      await navigator.clipboard.writeText(text);
-      toast("Copied", "Share text copied to clipboard.");
+      const bin = atob(data.replace(/-/g, "+").replace(/_/g, "/"));
+      return JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, ch => ch.charCodeAt(0))));
     } catch {
-      const ta = document.createElement("textarea");
-      ta.value = text;
-      document.body.appendChild(ta);
-      ta.select();
-      try { document.execCommand("copy"); toast("Copied", "Share text copied (fallback)."); }
-      catch { toast("Copy failed", "Your browser blocked clipboard."); }
-      ta.remove();
+      return null;
     }
   }
 
-  function downloadBlob(blob, filename) {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    setTimeout(() => {
-      URL.revokeObjectURL(url);
-      a.remove();
-    }, 100);
+  // Returns an error string, or null when the link can be shown. Anyone can
+  // write one, so every field the view prints is checked.
+  function validateResultLink(p) {
+    if (!p || typeof p !== "object") return "not a result link";
+    if (p.v !== RESULT_LINK_VERSION) return `unknown version (v${p.v})`;
+    const m = RESULT_LINK_MODES[p.mode];
+    if (!m) return "unknown mode";
+    if (!isDayKey(p.day)) return "bad day";
+    if (!m.results.includes(p.result)) return "bad result";
+    const r = p.rule;
+    if (!r || !LEAVE_RULE_PRESETS[r.id]) return "bad leave rule";
+    if (!Number.isFinite(r.thresholdMs) || !Number.isFinite(r.awayBudgetMs)) return "bad leave rule";
+    if (r.shortForgiven !== null && !Number.isInteger(r.shortForgiven)) return "bad leave rule";
+    if (!Number.isInteger(p.away) || p.away < 0) return "bad away count";
+    if (p.mode === "challenge24" && (!Number.isInteger(p.challengeId) || !Number.isInteger(p.streak))) return "bad challenge";
+    if (p.mode !== "challenge24" && (!Number.isInteger(p.minutes) || p.minutes <= 0)) return "bad duration";
+    if (["task", "boss"].some(k => p[k] !== undefined && typeof p[k] !== "string")) return "bad text field";
+    if (p.table !== undefined && (p.table !== m.table || typeof p.id !== "string" || !p.id)) return "bad row reference";
+    return null;
   }
 
-  function roundRect(ctx, x, y, w, h, r) {
-    const rr = Math.min(r, w / 2, h / 2);
-    ctx.beginPath();
-    ctx.moveTo(x + rr, y);
-    ctx.arcTo(x + w, y, x + w, y + h, rr);
-    ctx.arcTo(x + w, y + h, x, y + h, rr);
-    ctx.arcTo(x, y + h, x, y, rr);
-    ctx.arcTo(x, y, x + w, y, rr);
-    ctx.closePath();
+  function challengeShareRun() {
+    const st = getTodayChallengeState();
+    return {
+      mode: "challenge24",
+      day: st.dayKey,
+      result: st.state,
+      challengeId: st.challengeId,
+      streak: getStreak(),
+      rule: st.rule,
+      away: awayCount(st.awayLog)
+    };
   }
 
-  function drawShareCard({ title, subtitle, lines, footer }) {
-    const theme = document.documentElement.getAttribute("data-theme") || "dark";
-    const W = 1200, H = 630;
-
-    const canvas = document.createElement("canvas");
-    canvas.width = W; canvas.height = H;
-    const ctx = canvas.getContext("2d");
+  // Auth mode: the row this run was stored as, once the outbox has sent it.
+  async function storedRunId(run) {
+    await outboxFlush();
+    const q = run.mode === "challenge24"
+      ? supabase.from("daily_runs").select("id").eq("user_id", authUser.id).eq("day_utc", run.day)
+      : supabase.from("sessions").select("id").eq("client_run_id", run.runId);
+    try {
+      const { data, error } = await q.maybeSingle();
+      if (error) throw error;
+      return data ? data.id : null;
+    } catch (e) {
+      console.warn("Result link lookup failed", e);
+      return null;
+    }
+  }
 
-    ctx.fillStyle = theme === "light" ? "#f6f7fb" : "#0b0c10";
-    ctx.fillRect(0, 0, W, H);
+  async function copyResultLink(run) {
+    if (!run) return toast("No result yet", "Finish a run first.");
+    const { runId, rule, ...fields } = run;
+    const payload = { v: RESULT_LINK_VERSION, ...fields, rule: resultLinkRule(rule) };
 
-    const g1 = ctx.createRadialGradient(260, 140, 40, 260, 140, 520);
-    g1.addColorStop(0, theme === "light" ? "rgba(31,143,255,0.18)" : "rgba(141,217,255,0.18)");
-    g1.addColorStop(1, "rgba(0,0,0,0)");
-    ctx.fillStyle = g1; ctx.fillRect(0, 0, W, H);
+    if (isAuthActive() && supabase) {
+      const id = await storedRunId(run);
+      if (id) Object.assign(payload, { table: RESULT_LINK_MODES[run.mode].table, id: String(id) });
+      else toast("Not synced yet", "This link will show as self-reported. Copy it again once you're back online.", 4200);
+    }
 
-    const g2 = ctx.createRadialGradient(980, 520, 60, 980, 520, 560);
-    g2.addColorStop(0, theme === "light" ? "rgba(18,182,107,0.14)" : "rgba(178,255,204,0.14)");
-    g2.addColorStop(1, "rgba(0,0,0,0)");
-    ctx.fillStyle = g2; ctx.fillRect(0, 0, W, H);
+    const url = `${location.origin}${location.pathname}#/result?d=${encodeResultLink(payload)}`;
+    await copyToClipboard(url, "Result link");
+  }
 
-    const r = 34;
-    roundRect(ctx, 70, 70, W - 140, H - 140, r);
-    ctx.fillStyle = theme === "light" ? "rgba(255,255,255,0.88)" : "rgba(255,255,255,0.06)";
-    ctx.fill();
-    ctx.strokeStyle = theme === "light" ? "rgba(10,12,16,0.10)" : "rgba(255,255,255,0.12)";
-    ctx.lineWidth = 2;
-    ctx.stroke();
+  // -----------------------------
+  // Shared result view (read-only)
+  // -----------------------------
+  const ResultView = { seq: 0 };
 
-    ctx.fillStyle = theme === "light" ? "rgba(10,12,16,0.92)" : "rgba(255,255,255,0.92)";
-    ctx.font = "800 54px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
-    ctx.fillText("You vs Everyone", 120, 170);
+  // Verdict: 'verified' | 'self' (no row to check) | 'missing' | 'mismatch' | 'unchecked' (couldn't reach the DB).
+  async function verifyResultLink(p) {
+    if (!p.table) return { verdict: "self" };
+    if (!supabase) return { verdict: "unchecked" };
 
-    ctx.fillStyle = theme === "light" ? "rgba(10,12,16,0.62)" : "rgba(255,255,255,0.62)";
-    ctx.font = "600 26px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
-    ctx.fillText(subtitle, 120, 215);
+    const cols = p.table === "daily_runs"
+      ? "id, user_id, day_utc, challenge_id, status, leave_rule, leave_rule_params"
+      : "id, user_id, mode, day_utc, duration_minutes, status, leave_rule, leave_rule_params, task_name, boss_name";
+    let row;
+    try {
+      const { data, error } = await supabase.from(p.table).select(cols).eq("id", p.id).maybeSingle();
+      if (error) throw error;
+      row = data;
+    } catch (e) {
+      console.warn("Result link check failed", e);
+      return { verdict: "unchecked" };
+    }
+    // Rows of other players may only be readable once signed in.
+    if (!row) return { verdict: isAuthActive() ? "missing" : "unchecked" };
+
+    // Values as stored with the run, so retuning a preset later can't flip old links.
+    // Rows from before that only carry the preset id.
+    const stored = row.leave_rule_params;
+    const same = row.day_utc === p.day
+      && row.status === p.result
+      && row.leave_rule === p.rule.id
+      && (!stored || (p.rule.thresholdMs === stored.thresholdMs
+        && p.rule.shortForgiven === stored.shortForgiven
+        && p.rule.awayBudgetMs === stored.awayBudgetMs))
+      && (p.table === "daily_runs"
+        ? row.challenge_id === p.challengeId
+        : row.mode === p.mode
+          && row.duration_minutes === p.minutes
+          && (row.task_name || "") === (p.task || "")
+          && (p.mode !== "bossFight" || (row.boss_name || "") === (p.boss || "")));
+    if (!same) return { verdict: "mismatch" };
+
+    // The streak as it stood on that day, from the same player's stored days.
+    if (p.table === "daily_runs") {
+      const { data, error } = await selectAllRows(() => supabase.from("daily_runs").select("day_utc, status")
+        .eq("user_id", row.user_id).in("status", ["completed", "frozen"]).lte("day_utc", p.day).order("day_utc"));
+      if (error) {
+        console.warn("Result link streak check failed", error);
+        return { verdict: "unchecked" };
+      }
+      const days = data.filter(r => r.status === "completed").map(r => r.day_utc);
+      const frozen = data.filter(r => r.status === "frozen").map(r => r.day_utc);
+      if (streakFromCompletedDays(days, { today: p.day, frozen }).streak !== p.streak) return { verdict: "mismatch" };
+    }
 
-    ctx.strokeStyle = theme === "light" ? "rgba(10,12,16,0.10)" : "rgba(255,255,255,0.12)";
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(120, 250);
-    ctx.lineTo(W - 120, 250);
-    ctx.stroke();
+    let name = null;
+    try {
+      const { data } = await supabase.from("profiles").select("display_name").eq("id", row.user_id).maybeSingle();
+      name = data ? data.display_name : null;
+    } catch (e) {
+      console.warn("Result link profile lookup failed", e);
+    }
+    return { verdict: "verified", name };
+  }
 
-    ctx.fillStyle = theme === "light" ? "rgba(10,12,16,0.92)" : "rgba(255,255,255,0.92)";
-    ctx.font = "800 40px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
-    ctx.fillText(title, 120, 320);
+  const RESULT_VERDICTS = {
+    verified: { badge: "Verified", dot: "ok", hint: "Day, result, streak, duration and leave rule match the stored runs. The away count is as reported." },
+    self: { badge: "Self-reported", dot: null, hint: "Not backed by a stored run (made in Anonymous mode or before it synced). Everything here is as reported." },
+    missing: { badge: "Self-reported", dot: null, hint: "The stored run this link points to isn't there. Everything here is as reported." },
+    mismatch: { badge: "Doesn't match", dot: "bad", hint: "A stored run exists, but this link doesn't match it. Treat it as edited." },
+    unchecked: { badge: "Not checked", dot: null, hint: "Couldn't check the stored run (offline or not signed in). Everything here is as reported." }
+  };
 
-    ctx.fillStyle = theme === "light" ? "rgba(10,12,16,0.70)" : "rgba(255,255,255,0.70)";
-    ctx.font = "650 28px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
-    let y = 370;
-    lines.forEach((ln) => {
-      ctx.fillText(ln, 120, y);
-      y += 44;
-    });
+  function renderResultVerdict({ verdict, name }) {
+    const v = RESULT_VERDICTS[verdict];
+    $("#resultBadge").textContent = v.badge;
+    const dot = $("#resultDot");
+    dot.classList.remove("ok", "bad");
+    if (v.dot) dot.classList.add(v.dot);
+    $("#resultHint").textContent = v.hint;
+    if (name) $("#resultBy").textContent = `You vs Everyone • ${name}`;
+  }
 
-    ctx.fillStyle = theme === "light" ? "rgba(10,12,16,0.45)" : "rgba(255,255,255,0.45)";
-    ctx.font = "650 22px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, Liberation Mono, Courier New, monospace";
-    ctx.fillText(footer, 120, H - 130);
+  // The #/result route; false sends the router home.
+  function renderResultLink(data) {
+    const p = decodeResultLink(data);
+    const problem = validateResultLink(p);
+    if (problem) {
+      toast("Broken result link", `Can't show it: ${problem}.`, 4200);
+      return false;
+    }
 
-    return canvas;
+    const m = RESULT_LINK_MODES[p.mode];
+    const rule = { ...getLeaveRulePreset(p.rule.id), ...p.rule, shortForgiven: p.rule.shortForgiven === null ? Infinity : p.rule.shortForgiven };
+    const lines = p.mode === "challenge24"
+      ? [["Challenge", getChallengeById(p.challengeId).title], ["Result", RESULT_LINK_LABELS[p.result]], ["Streak", String(p.streak)]]
+      : [
+        ...(p.boss ? [["Boss", p.boss]] : []),
+        ["Result", RESULT_LINK_LABELS[p.result]],
+        ["Duration", `${p.minutes} min`],
+        ...(p.task ? [["Task", p.task]] : [])
+      ];
+    lines.push(["Rule", `${rule.label}: ${describeLeaveRule(rule)}`], ["Away", `${p.away}×`]);
+
+    $("#resultTitle").textContent = m.label;
+    $("#resultBy").textContent = "You vs Everyone";
+    $("#resultDay").textContent = p.day;
+    $("#resultLines").innerHTML = lines.map(([k, v]) =>
+      `<div class="share-line"><span class="muted">${escapeHTML(k)}</span> <b>${escapeHTML(v)}</b></div>`
+    ).join("");
+    $("#resultTryBtn").setAttribute("data-mode", p.mode);
+    $("#resultBadge").textContent = "Checking…";
+    $("#resultDot").classList.remove("ok", "bad");
+    $("#resultHint").textContent = "Checking the stored run…";
+
+    const seq = ++ResultView.seq;
+    verifyResultLink(p).then(res => {
+      if (seq === ResultView.seq) renderResultVerdict(res);
+    });
+    return true;
   }
 
   // -----------------------------
@@ -1694,59 +6714,171 @@
       ctx.fillStyle = g;
       ctx.fillRect(0, 0, W, H);
 
+      // Cycle: one pip per round, filled once cleared
+      const c = Arena.cycle;
+      if (c) {
+        const ink = theme === "light" ? "rgba(10,12,16," : "rgba(255,255,255,";
+        const gap = 18, x0 = W / 2 - ((c.rounds - 1) * gap) / 2;
+        for (let i = 0; i < c.rounds; i++) {
+          ctx.beginPath();
+          ctx.arc(x0 + i * gap, H - 22, 5, 0, Math.PI * 2);
+          if (i < c.cleared) {
+            ctx.fillStyle = ink + "0.55)";
+            ctx.fill();
+          } else {
+            ctx.strokeStyle = ink + (i === c.round - 1 && c.phase === "focus" ? "0.55)" : "0.22)");
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+          }
+        }
+        ctx.fillStyle = ink + "0.45)";
+        ctx.font = "600 11px ui-monospace, SFMono-Regular, Menlo, monospace";
+        ctx.textAlign = "center";
+        ctx.fillText(c.phase === "break" ? "BREAK" : `ROUND ${c.round} / ${c.rounds}`, W / 2, H - 36);
+      }
+
       requestAnimationFrame(frame);
     }
 
     requestAnimationFrame(frame);
   }
 
+  // -----------------------------
+  // Router (#/challenge, #/boss?min=45, #/result?d=…)
+  // -----------------------------
+  // Every screen change goes through the hash, so Back/Forward, bookmarks and
+  // deep links work. enter(params) renders the screen; false rejects the URL.
+  const ROUTES = {
+    "/": { screen: "#screenHome", presence: "hub", enter: () => renderHub() },
+    "/challenge": { screen: "#screenChallenge24", presence: "challenge24", mode: "challenge24", enter: () => renderChallenge24() },
+    "/boss": { screen: "#screenBossFight", presence: "bossFight", mode: "bossFight", enter: enterBossFight },
+    "/arena": { screen: "#screenFocusArena", presence: "focusArena", mode: "focusArena", enter: enterFocusArena },
+    "/leaderboard": { screen: "#screenLeaderboard", presence: "leaderboard", mode: "leaderboard", enter: () => renderLeaderboard() },
+    "/stats": { screen: "#screenStats", presence: "stats", mode: "stats", enter: () => renderStats() },
+    "/raid": { screen: "#screenRaid", presence: "bossRaid", mode: "bossRaid", enter: () => { renderRaid(); renderRaidHistory(); } },
+    "/journal": { screen: "#screenJournal", presence: "hub", mode: "journal", enter: enterJournal },
+    "/result": { screen: "#screenResult", presence: "hub", enter: (params) => renderResultLink(params.get("d") || "") }
+  };
+  const MODE_ROUTES = Object.fromEntries(Object.entries(ROUTES).filter(([, r]) => r.mode).map(([path, r]) => [r.mode, path]));
+
+  const Router = { seq: 0 };
+
+  function parseRoute(hash) {
+    const raw = hash.replace(/^#/, "") || "/";
+    const q = raw.indexOf("?");
+    return {
+      path: q < 0 ? raw : raw.slice(0, q),
+      params: new URLSearchParams(q < 0 ? "" : raw.slice(q + 1))
+    };
+  }
+
+  // The screen a running fight lives on, if any.
+  function runningScreen() {
+    if (Boss.running) return "#screenBossFight";
+    if (Arena.running || Arena.cycle) return "#screenFocusArena";
+    if (Raid.phase !== "idle") return "#screenRaid";
+    return null;
+  }
+
+  async function leaveRuns() {
+    if (Boss.running) await bossStop("Paused (left the fight).");
+    await arenaHalt("Paused (left the arena).");
+    if (Raid.phase !== "idle") await raidLeave();
+  }
+
+  async function route() {
+    const seq = ++Router.seq;
+    const { path, params } = parseRoute(location.hash);
+    const r = ROUTES[path];
+    if (!r) return redirectHome();
+
+    const busy = runningScreen();
+    if (busy && busy !== r.screen) {
+      await leaveRuns();
+      if (seq !== Router.seq) return;
+    }
+
+    showScreen(r.screen);
+    presenceSetMode(r.presence);
+    if (r.enter(params) === false) redirectHome();
+  }
+
+  function redirectHome() {
+    history.replaceState(null, "", "#/");
+    route();
+  }
+
+  function navigate(hash) {
+    if (location.hash !== hash) history.pushState(null, "", hash);
+    route();
+  }
+
+  function enterMode(mode) {
+    navigate(`#${MODE_ROUTES[mode]}`);
+  }
+
+  // ?min= picks a duration preset while nothing is running.
+  function routeMinutes(params, selector, attr) {
+    const min = parseInt(params.get("min"), 10);
+    if (!Number.isInteger(min) || !$(`${selector}[${attr}="${min}"]`)) return null;
+    selectPreset(selector, attr, min);
+    return min;
+  }
+
+  function enterBossFight(params) {
+    if (!Boss.running) {
+      const min = routeMinutes(params, "#screenBossFight .seg-btn[data-min]", "data-min");
+      if (min) bossSetDuration(min);
+    }
+    renderBossHistory();
+    updateBossUI();
+    setShareEnabled(2, false);
+    $("#shareBossName").textContent = "—";
+    $("#shareBossTask").textContent = "—";
+    $("#shareBossDur").textContent = "—";
+    $("#shareBossRule").textContent = "—";
+    renderBossArt();
+    renderTaskBacklog();
+    renderBossTaskDone();
+    loadTaskStats();
+    renderAwayLog($("#bossAwayLog"), null, { pending: Boss.running });
+  }
+
+  function enterFocusArena(params) {
+    if (!Arena.running && !Arena.cycle) {
+      const min = routeMinutes(params, "#screenFocusArena .seg-btn[data-focus-min]", "data-focus-min");
+      if (min) arenaSetDuration(min);
+    }
+    renderArenaPeople();
+    renderArenaBadges();
+    renderArenaHistory();
+    renderCycleConfig();
+    setShareEnabled(3, false);
+    $("#shareArenaResult").textContent = "—";
+    $("#shareArenaDur").textContent = "—";
+    $("#shareArenaBadges").textContent = "—";
+    $("#shareArenaRule").textContent = "—";
+    renderAwayLog($("#arenaAwayLog"), null, { pending: Arena.running });
+  }
+
+  function initRouter() {
+    window.addEventListener("hashchange", route);
+    route();
+  }
+
   // -----------------------------
   // Navigation wiring
   // -----------------------------
   function initNav() {
     $$('[data-action="enterMode"]').forEach(btn => {
-      btn.addEventListener("click", () => {
-        const mode = btn.getAttribute("data-mode");
-        if (mode === "challenge24") {
-          showScreen("#screenChallenge24");
-          renderChallenge24();
-        } else if (mode === "bossFight") {
-          showScreen("#screenBossFight");
-          renderBossHistory();
-          updateBossUI();
-          $("#copyShare2").disabled = true;
-          $("#downloadShare2").disabled = true;
-          $("#shareBossTask").textContent = "—";
-          $("#shareBossDur").textContent = "—";
-        } else if (mode === "focusArena") {
-          showScreen("#screenFocusArena");
-          renderArenaPeople();
-          renderArenaBadges();
-          renderArenaHistory();
-          $("#copyShare3").disabled = true;
-          $("#downloadShare3").disabled = true;
-          $("#shareArenaResult").textContent = "—";
-          $("#shareArenaDur").textContent = "—";
-          $("#shareArenaBadges").textContent = "—";
-        }
-      });
+      btn.addEventListener("click", () => enterMode(btn.getAttribute("data-mode")));
     });
 
     $$('[data-action="backHome"]').forEach(btn => {
-      btn.addEventListener("click", async () => {
-        if (Boss.running) await bossStop("Paused (left the fight).");
-        if (Arena.running) await arenaStop("Paused (left the arena).");
-        showScreen("#screenHome");
-        renderHub();
-      });
+      btn.addEventListener("click", () => navigate("#/"));
     });
 
-    $("#goHome").addEventListener("click", async () => {
-      if (Boss.running) await bossStop("Paused (left the fight).");
-      if (Arena.running) await arenaStop("Paused (left the arena).");
-      showScreen("#screenHome");
-      renderHub();
-    });
+    $("#goHome").addEventListener("click", () => navigate("#/"));
 
     $("#goHome").addEventListener("keydown", (e) => {
       if (e.key === "Enter" || e.key === " ") {
@@ -1764,39 +6896,39 @@
     const accountPill = $("#accountPill");
     if (accountPill) accountPill.addEventListener("click", openAccountMenu);
 
+    // Streak freezes
+    $("#freezeChip").addEventListener("click", openFreezeModal);
+
     // 24h challenge
     $("#joinChallengeBtn").addEventListener("click", joinChallenge);
     $("#completeChallengeBtn").addEventListener("click", completeChallenge);
     $("#failChallengeBtn").addEventListener("click", () => failChallenge("Manual fail. Honest."));
+    $("#journalEntryBtn").addEventListener("click", () => openJournalModal());
 
-    $("#copyShare1").addEventListener("click", () => {
-      const st = getTodayChallengeState();
-      const c = getTodaysChallenge();
-      const date = utcDayKey();
-      const streak = getStreak();
-      const result = st.state === "completed" ? "COMPLETED ✅" : st.state === "failed" ? "FAILED ❌" : "—";
-      const text = buildShareText({ date, title: c.title, result, streak });
-      copyToClipboard(text);
+    // Journal screen
+    $("#journalDays").addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-journal-day]");
+      if (btn) navigate(`#/journal?day=${btn.getAttribute("data-journal-day")}`);
     });
+    $("#journalOlderBtn").addEventListener("click", () => journalStep(1));
+    $("#journalNewerBtn").addEventListener("click", () => journalStep(-1));
+    $("#journalEditBtn").addEventListener("click", () => openJournalModal($("#journalEditBtn").getAttribute("data-day")));
 
-    $("#downloadShare1").addEventListener("click", () => {
-      const st = getTodayChallengeState();
-      const c = getTodaysChallenge();
-      const date = utcDayKey();
-      const streak = getStreak();
-      const result = st.state === "completed" ? "COMPLETED ✅" : st.state === "failed" ? "FAILED ❌" : "—";
-
-      const canvas = drawShareCard({
-        title: c.title,
-        subtitle: `Day ${date} • 24h Challenge (UTC)`,
-        lines: [`Result: ${result}`, `Streak: ${streak}`],
-        footer: "Simulated crowd • Local-only (anon) • No tracking"
+    // Proof cards (all modes)
+    $$("[data-share-format]").forEach(btn => {
+      btn.addEventListener("click", () => setShareFormat(btn.getAttribute("data-share-format")));
+    });
+    $$(".share-template").forEach(seg => {
+      seg.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-share-template]");
+        if (btn) setShareTemplate(btn.getAttribute("data-share-template"));
       });
-
-      canvas.toBlob((blob) => {
-        if (!blob) return toast("Download failed", "Canvas export failed.");
-        downloadBlob(blob, `yve_${date}_challenge.png`);
-      }, "image/png", 0.92);
+    });
+    [1, 2, 3].forEach(n => {
+      $(`#copyShare${n}`).addEventListener("click", () => copyToClipboard(SHARE_BUILDERS[n]().text));
+      $(`#downloadShare${n}`).addEventListener("click", () => downloadShareImage(SHARE_BUILDERS[n]()));
+      $(`#nativeShare${n}`).addEventListener("click", () => nativeShare(SHARE_BUILDERS[n]()));
+      $(`#linkShare${n}`).addEventListener("click", () => copyResultLink(SHARE_BUILDERS[n]().run));
     });
 
     // Boss presets
@@ -1806,88 +6938,95 @@
         $$("#screenBossFight .seg-btn[data-min]").forEach(b => b.classList.remove("active"));
         btn.classList.add("active");
         bossSetDuration(parseInt(btn.getAttribute("data-min"), 10));
+        history.replaceState(null, "", `#/boss?min=${Boss.selectedMin}`);
       });
     });
 
     $("#startBossBtn").addEventListener("click", bossStart);
-    $("#stopBossBtn").addEventListener("click", () => bossStop("Stopped. The boss smirks."));
 
-    $("#copyShare2").addEventListener("click", () => {
-      const date = utcDayKey();
-      const task = $("#shareBossTask").textContent.trim();
-      const dur = $("#shareBossDur").textContent.trim();
-      const text = [
-        `You vs Everyone — Day ${date}`,
-        `Boss Fight: Procrastination defeated ✅`,
-        `Task: ${task}`,
-        `Duration: ${dur}`
-      ].join("\n");
-      copyToClipboard(text);
+    // Task backlog
+    $("#taskAddBtn").addEventListener("click", () => {
+      const input = $("#taskNewInput");
+      const name = (input.value || "").trim();
+      if (!name) return input.focus();
+      if (findTaskByName(name)) toast("Backlog", "Already in the backlog.");
+      else addTask(name);
+      input.value = "";
     });
-
-    $("#downloadShare2").addEventListener("click", () => {
-      const date = utcDayKey();
-      const task = $("#shareBossTask").textContent.trim();
-      const dur = $("#shareBossDur").textContent.trim();
-
-      const canvas = drawShareCard({
-        title: "Boss Defeated",
-        subtitle: `Day ${date} • Procrastination Boss Fight`,
-        lines: [`Task: ${task}`, `Duration: ${dur}`],
-        footer: "Local-only (anon) • No tracking"
-      });
-
-      canvas.toBlob((blob) => {
-        if (!blob) return toast("Download failed", "Canvas export failed.");
-        downloadBlob(blob, `yve_${date}_bossfight.png`);
-      }, "image/png", 0.92);
+    $("#taskNewInput").addEventListener("keydown", (e) => {
+      if (e.key === "Enter") $("#taskAddBtn").click();
+    });
+    $("#taskShowAllBtn").addEventListener("click", () => {
+      Tasks.showAll = !Tasks.showAll;
+      renderTaskBacklog();
     });
+    $("#taskList").addEventListener("click", onTaskAction);
+    $("#bossTaskDoneBtn").addEventListener("click", markFoughtTaskDone);
+    $("#stopBossBtn").addEventListener("click", () => bossStop("Stopped. The boss smirks."));
 
     // Focus presets
     $$("#screenFocusArena .seg-btn[data-focus-min]").forEach(btn => {
       btn.addEventListener("click", () => {
-        if (Arena.running) return toast("Focus Arena", "Finish or stop the session to change duration.");
+        if (Arena.running || Arena.cycle) return toast("Focus Arena", "Finish or stop the session to change duration.");
         $$("#screenFocusArena .seg-btn[data-focus-min]").forEach(b => b.classList.remove("active"));
         btn.classList.add("active");
         arenaSetDuration(parseInt(btn.getAttribute("data-focus-min"), 10));
+        history.replaceState(null, "", `#/arena?min=${Arena.selectedMin}`);
+        renderCycleConfig();
       });
     });
 
     $("#startArenaBtn").addEventListener("click", arenaStart);
-    $("#stopArenaBtn").addEventListener("click", () => arenaStop("Stopped. The arena stays silent."));
-
-    $("#copyShare3").addEventListener("click", () => {
-      const date = utcDayKey();
-      const res = $("#shareArenaResult").textContent.trim();
-      const dur = $("#shareArenaDur").textContent.trim();
-      const badges = $("#shareArenaBadges").textContent.trim();
-      const text = [
-        `You vs Everyone — Day ${date}`,
-        `Focus Arena`,
-        `Result: ${res}`,
-        `Session: ${dur}`,
-        `Badges: ${badges}`
-      ].join("\n");
-      copyToClipboard(text);
-    });
+    $("#stopArenaBtn").addEventListener("click", () => arenaHalt("Stopped. The arena stays silent."));
 
-    $("#downloadShare3").addEventListener("click", () => {
-      const date = utcDayKey();
-      const res = $("#shareArenaResult").textContent.trim();
-      const dur = $("#shareArenaDur").textContent.trim();
-      const badges = $("#shareArenaBadges").textContent.trim();
+    // Cycle format
+    $$("#arenaFormatSeg .seg-btn").forEach(btn => {
+      btn.addEventListener("click", () => {
+        if (Arena.running || Arena.cycle) return toast("Focus Arena", "Finish or stop the session to change format.");
+        Arena.format = btn.getAttribute("data-arena-format");
+        renderCycleConfig();
+      });
+    });
+    [["data-cycle-rounds", "rounds"], ["data-cycle-short", "shortMin"], ["data-cycle-long", "longMin"]].forEach(([attr, field]) => {
+      $$(`#cycleConfig .seg-btn[${attr}]`).forEach(btn => {
+        btn.addEventListener("click", () => {
+          if (Arena.cycle) return toast("Focus Arena", "Stop the cycle to change it.");
+          Arena.cycleConfig[field] = parseInt(btn.getAttribute(attr), 10);
+          renderCycleConfig();
+        });
+      });
+    });
 
-      const canvas = drawShareCard({
-        title: "Focus Arena",
-        subtitle: `Day ${date} • Silent session`,
-        lines: [`Result: ${res}`, `Session: ${dur}`, `Badges: ${badges}`],
-        footer: "Simulated presence • Local-only (anon)"
+    // Co-op Raid
+    $("#raidLoginBtn").addEventListener("click", () => openAuthModal({ mode: "login" }));
+    $("#raidHostBtn").addEventListener("click", raidHost);
+    $("#raidJoinBtn").addEventListener("click", raidJoin);
+    $("#raidCodeInput").addEventListener("keydown", (e) => {
+      if (e.key === "Enter") raidJoin();
+    });
+    $("#raidStartBtn").addEventListener("click", raidStart);
+    $("#raidLeaveBtn").addEventListener("click", raidLeave);
+    $$("#raidMinSeg .seg-btn").forEach(btn => {
+      btn.addEventListener("click", () => {
+        if (Raid.phase !== "idle" && !(Raid.isHost && Raid.phase === "lobby")) return;
+        Raid.minutes = parseInt(btn.getAttribute("data-raid-min"), 10);
+        if (Raid.transport) Raid.transport.track(raidPresenceMeta());
+        renderRaid();
       });
+    });
 
-      canvas.toBlob((blob) => {
-        if (!blob) return toast("Download failed", "Canvas export failed.");
-        downloadBlob(blob, `yve_${date}_arena.png`);
-      }, "image/png", 0.92);
+    // Leaderboards
+    $$("#lbMetricSeg .seg-btn").forEach(btn => {
+      btn.addEventListener("click", () => {
+        Leaderboard.metric = btn.getAttribute("data-lb-metric");
+        renderLeaderboard();
+      });
+    });
+    $$("#lbPeriodSeg .seg-btn").forEach(btn => {
+      btn.addEventListener("click", () => {
+        Leaderboard.period = btn.getAttribute("data-lb-period");
+        renderLeaderboard();
+      });
     });
 
     // Escape close
@@ -1903,11 +7042,17 @@
     bossSetDuration(25);
     arenaSetDuration(25);
 
+    $("#shareBossName").textContent = "—";
     $("#shareBossTask").textContent = "—";
     $("#shareBossDur").textContent = "—";
+    $("#shareBossRule").textContent = "—";
+    renderBossArt();
     $("#shareArenaResult").textContent = "—";
     $("#shareArenaDur").textContent = "—";
     $("#shareArenaBadges").textContent = "—";
+    $("#shareArenaRule").textContent = "—";
+    renderLeaveRuleHints();
+    renderShareFormat();
   }
 
   // -----------------------------
@@ -1915,23 +7060,32 @@
   // -----------------------------
   async function boot() {
     initTheme();
+    initServiceWorker();
     initSupabase();
+    initOutbox();
 
     reconcileStreakForNewDay();
 
     initVisibilityWatcher();
+    initAlerts();
     initNav();
     initActions();
     initDefaults();
 
+    loadChallengePack().then(loaded => {
+      if (!loaded) return;
+      renderHub();
+      if ($("#screenChallenge24").classList.contains("active")) renderChallenge24();
+    });
     renderHub();
     initCrowdCanvas();
     initArenaCanvas();
     renderArenaBadges();
 
-    showScreen("#screenHome");
+    initRouter();
 
     await ensureEntryGate();
+    offerResumeActiveRun();
   }
 
   if (document.readyState === "loading") {
@@ -0,0 +1,108 @@
+/* sw.js */
+/**
+ * Offline shell: the app, its styles, the challenge pack and the Supabase bundle.
+ *
+ * - The page, app.js, styles.css, challenges.json and the manifest are
+ *   network-first: every online load gets the deployed files and refreshes
+ *   the cache, which only answers offline. Icons and the pinned Supabase
+ *   bundle are cache-first.
+ * - Bump VERSION when this file's logic or the SHELL list changes. The new
+ *   worker then waits until the page's "Update available" toast posts
+ *   {type: "skipWaiting"}.
+ * - Everything else (Supabase API, Realtime, the raid relay) goes straight to
+ *   the network; Auth mode already queues its writes in the outbox.
+ */
+
+const VERSION = "2026-10-19.2";
+const CACHE_PREFIX = "yve-shell-";
+const CACHE = CACHE_PREFIX + VERSION;
+const SUPABASE_JS = "https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2/dist/umd/supabase.js";
+const SHELL = [
+  "./",
+  "./index.html",
+  "./app.js",
+  "./styles.css",
+  "./challenges.json",
+  "./manifest.webmanifest",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png"
+];
+const NETWORK_FIRST = [
+  "./",
+  "./index.html",
+  "./app.js",
+  "./styles.css",
+  "./challenges.json",
+  "./manifest.webmanifest"
+];
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(SHELL);
+    // Without the bundle the app still runs, in Anonymous mode only.
+    try {
+      await cache.add(new Request(SUPABASE_JS, { mode: "cors" }));
+    } catch (e) {
+      console.warn("Supabase bundle not cached", e);
+    }
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "skipWaiting") self.skipWaiting();
+});
+
+async function cacheFirst(request, key) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(key, { ignoreSearch: true });
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) cache.put(key, res.clone());
+  return res;
+}
+
+async function networkFirst(request, key) {
+  const cache = await caches.open(CACHE);
+  try {
+    // Revalidate past the HTTP cache too; a redirected response can't answer a navigation.
+    const res = await fetch(request, { cache: "no-cache" });
+    if (res.ok && !res.redirected) cache.put(key, res.clone());
+    return res;
+  } catch (e) {
+    const hit = await cache.match(key, { ignoreSearch: true });
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+
+  // Any page load inside the scope (?raid_server=…, #/routes) is the one shell.
+  if (req.mode === "navigate" && req.url.startsWith(self.registration.scope)) {
+    event.respondWith(networkFirst(req, scoped("./index.html")));
+    return;
+  }
+  if (req.url === SUPABASE_JS) {
+    event.respondWith(cacheFirst(req, SUPABASE_JS));
+    return;
+  }
+
+  const url = new URL(req.url);
+  url.search = "";
+  const path = SHELL.find(p => scoped(p) === url.href);
+  if (!path) return;
+  event.respondWith(NETWORK_FIRST.includes(path) ? networkFirst(req, url.href) : cacheFirst(req, url.href));
+});
@@ -0,0 +1,79 @@
+-- tools/leaderboard.sql
+--
+-- Server-side leaderboard for the app's Leaderboards screen (supabase.rpc("leaderboard", …)).
+-- Run once in the Supabase SQL editor. The function runs as its owner, so daily_runs and
+-- sessions can stay readable by their owner only: other players see a name, a circle
+-- colour and one number, never task names or individual runs.
+--
+--   p_metric: 'streak' (current chain, UTC days, today or yesterday included; frozen days
+--             bridge without counting) | 'minutes' (cleared bossFight/focusArena/bossRaid)
+--             | 'challenges' (completed 24h Challenge days)
+--   p_since:  first UTC day counted (null = all time; ignored for 'streak')
+--   p_top_n:  rows returned besides the caller's own, clamped to 1..100
+--
+-- Returns the top p_top_n plus the caller's row, ranked 1, 2, 2, 4 on ties.
+-- An unknown p_metric raises instead of returning an empty board.
+
+create or replace function public.leaderboard(p_metric text, p_since date default null, p_top_n int default 20)
+returns table (user_id uuid, display_name text, circle_color text, value int, rank int)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  if p_metric is null or p_metric not in ('streak', 'minutes', 'challenges') then
+    raise exception 'unknown leaderboard metric: %', p_metric using errcode = '22023';
+  end if;
+  p_top_n := least(greatest(coalesce(p_top_n, 20), 1), 100);
+
+  return query
+  with chain_days as (
+    select d.user_id, d.day_utc, d.status,
+           d.day_utc - (row_number() over (partition by d.user_id order by d.day_utc))::int as island
+    from daily_runs d
+    where p_metric = 'streak' and d.status in ('completed', 'frozen')
+  ),
+  chains as (
+    select c.user_id, max(c.day_utc) as last_day, count(*) filter (where c.status = 'completed') as n
+    from chain_days c
+    group by c.user_id, c.island
+  ),
+  totals as (
+    select c.user_id, c.n::int as value
+    from chains c
+    where c.last_day >= (now() at time zone 'utc')::date - 1
+    union all
+    select s.user_id, sum(s.duration_minutes)::int
+    from sessions s
+    where p_metric = 'minutes'
+      and s.status = 'cleared'
+      and s.mode in ('bossFight', 'focusArena', 'bossRaid')
+      and (p_since is null or s.day_utc >= p_since)
+    group by s.user_id
+    union all
+    select d.user_id, count(*)::int
+    from daily_runs d
+    where p_metric = 'challenges'
+      and d.status = 'completed'
+      and (p_since is null or d.day_utc >= p_since)
+    group by d.user_id
+  ),
+  ranked as (
+    select t.user_id, t.value,
+           (rank() over (order by t.value desc))::int as rank,
+           row_number() over (order by t.value desc, t.user_id) as pos
+    from totals t
+    where t.value > 0
+  )
+  select r.user_id, p.display_name, p.circle_style ->> 'color', r.value, r.rank
+  from ranked r
+  left join profiles p on p.id = r.user_id
+  where r.pos <= p_top_n or r.user_id = auth.uid()
+  order by r.pos;
+end;
+$$;
+
+revoke all on function public.leaderboard(text, date, int) from public;
+grant execute on function public.leaderboard(text, date, int) to authenticated;
@@ -0,0 +1,21 @@
+-- tools/migrations/01-sessions-client-run-id.sql
+--
+-- Outbox replay for sessions (app.js dbInsertSession). Run once in the Supabase SQL editor,
+-- before the app version that queues writes; files in this folder go in number order.
+--
+-- Every session row carries the run id the client made for it, and writes upsert on it
+-- (onConflict: "client_run_id"), so a replayed or repeated write for the same run never
+-- adds a second row. Rows from before this change keep a null id; nulls never conflict.
+-- An upsert that hits an existing row is an UPDATE, so sessions needs an update policy too.
+
+alter table public.sessions add column if not exists client_run_id text;
+
+create unique index if not exists sessions_client_run_id_key on public.sessions (client_run_id);
+
+alter table public.sessions enable row level security;
+
+drop policy if exists "sessions: owner updates" on public.sessions;
+create policy "sessions: owner updates" on public.sessions
+  for update to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
@@ -0,0 +1,10 @@
+-- tools/migrations/02-profiles-streak-freezes.sql
+--
+-- Streak freezes in Auth mode: the unspent count lives on the profile (earned from Arena
+-- badge cycles, spent on missed days). Spent freezes are daily_runs rows with status
+-- 'frozen'. The app still runs with 0 freezes when this column is missing.
+
+alter table public.profiles add column if not exists streak_freezes int not null default 0;
+
+alter table public.profiles drop constraint if exists profiles_streak_freezes_check;
+alter table public.profiles add constraint profiles_streak_freezes_check check (streak_freezes >= 0);
@@ -0,0 +1,15 @@
+-- tools/migrations/03-runs-leave-rule.sql
+--
+-- Leave-rule presets: every run records the preset it ran under. Null on rows from
+-- before presets (they all ran the old fixed 15s rule).
+
+alter table public.daily_runs add column if not exists leave_rule text;
+alter table public.sessions add column if not exists leave_rule text;
+
+alter table public.daily_runs drop constraint if exists daily_runs_leave_rule_check;
+alter table public.daily_runs add constraint daily_runs_leave_rule_check
+  check (leave_rule in ('strict', 'standard', 'lenient'));
+
+alter table public.sessions drop constraint if exists sessions_leave_rule_check;
+alter table public.sessions add constraint sessions_leave_rule_check
+  check (leave_rule in ('strict', 'standard', 'lenient'));
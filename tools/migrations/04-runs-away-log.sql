@@ -0,0 +1,7 @@
+-- tools/migrations/04-runs-away-log.sql
+--
+-- Away timeline: each run stores its away episodes as a JSON array
+-- ([{at, ms, source, outcome}], capped in the app), shown on the result screens.
+
+alter table public.daily_runs add column if not exists away_log jsonb;
+alter table public.sessions add column if not exists away_log jsonb;
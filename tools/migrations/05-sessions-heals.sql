@@ -0,0 +1,9 @@
+-- tools/migrations/05-sessions-heals.sql
+--
+-- Boss heals per fight, for the stats screen's average. Set on bossFight and bossRaid
+-- rows, null for every other mode.
+
+alter table public.sessions add column if not exists heals int;
+
+alter table public.sessions drop constraint if exists sessions_heals_check;
+alter table public.sessions add constraint sessions_heals_check check (heals >= 0);
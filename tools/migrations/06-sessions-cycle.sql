@@ -0,0 +1,11 @@
+-- tools/migrations/06-sessions-cycle.sql
+--
+-- Focus Arena cycles: each focus round is a focusArena row tagged with its cycle, and the
+-- whole cycle is one focusCycle row whose cycle_round is the number of rounds cleared.
+-- All three stay null outside a cycle.
+
+alter table public.sessions add column if not exists cycle_id text;
+alter table public.sessions add column if not exists cycle_round int;
+alter table public.sessions add column if not exists cycle_rounds int;
+
+create index if not exists sessions_cycle_id_idx on public.sessions (cycle_id) where cycle_id is not null;
@@ -0,0 +1,14 @@
+-- tools/migrations/07-sessions-raid.sql
+--
+-- Co-op Raid: one bossRaid row per participant, tagged with the raid code, how many
+-- raiders started it and the damage this player dealt (focused seconds). Null outside a raid.
+-- The raid itself runs over Realtime broadcast + presence on raid:<code> channels and
+-- needs no table.
+
+alter table public.sessions add column if not exists raid_code text;
+alter table public.sessions add column if not exists raid_size int;
+alter table public.sessions add column if not exists raid_damage int;
+
+alter table public.sessions drop constraint if exists sessions_raid_check;
+alter table public.sessions add constraint sessions_raid_check
+  check (raid_size >= 1 and raid_damage >= 0);
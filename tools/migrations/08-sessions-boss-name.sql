@@ -0,0 +1,6 @@
+-- tools/migrations/08-sessions-boss-name.sql
+--
+-- Daily boss roster: bossFight rows keep the name of the boss that was fought, for
+-- backups, the sessions CSV and result links. Null for every other mode.
+
+alter table public.sessions add column if not exists boss_name text;
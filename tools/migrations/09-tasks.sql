@@ -0,0 +1,37 @@
+-- tools/migrations/09-tasks.sql
+--
+-- Boss Fight backlog. The client makes the id and upserts on it (onConflict: "id");
+-- tasks are archived, never deleted. Per-task stats join on sessions.task_name.
+
+create table if not exists public.tasks (
+  id text primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null check (char_length(name) between 1 and 60),
+  position int not null default 0,
+  status text not null default 'open' check (status in ('open', 'done', 'archived')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  done_at timestamptz
+);
+
+create index if not exists tasks_user_id_idx on public.tasks (user_id);
+
+alter table public.tasks enable row level security;
+
+drop policy if exists "tasks: owner reads" on public.tasks;
+create policy "tasks: owner reads" on public.tasks
+  for select to authenticated
+  using (user_id = auth.uid());
+
+drop policy if exists "tasks: owner inserts" on public.tasks;
+create policy "tasks: owner inserts" on public.tasks
+  for insert to authenticated
+  with check (user_id = auth.uid());
+
+drop policy if exists "tasks: owner updates" on public.tasks;
+create policy "tasks: owner updates" on public.tasks
+  for update to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+grant select, insert, update on public.tasks to authenticated;
@@ -0,0 +1,64 @@
+-- tools/migrations/10-journal.sql
+--
+-- 24h Challenge journal: one note per day per player (upsert on user_id,day_utc), with an
+-- optional photo in the private "journal" storage bucket at <user id>/<day>.jpg. The app
+-- shows photos through signed URLs, so nothing in the bucket is public.
+
+create table if not exists public.journal_entries (
+  id bigint generated by default as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  day_utc date not null,
+  challenge_id int not null,
+  note text check (char_length(note) <= 280),
+  on_card boolean not null default false,
+  photo_path text,
+  updated_at timestamptz not null default now(),
+  unique (user_id, day_utc)
+);
+
+alter table public.journal_entries enable row level security;
+
+drop policy if exists "journal_entries: owner reads" on public.journal_entries;
+create policy "journal_entries: owner reads" on public.journal_entries
+  for select to authenticated
+  using (user_id = auth.uid());
+
+drop policy if exists "journal_entries: owner inserts" on public.journal_entries;
+create policy "journal_entries: owner inserts" on public.journal_entries
+  for insert to authenticated
+  with check (user_id = auth.uid());
+
+drop policy if exists "journal_entries: owner updates" on public.journal_entries;
+create policy "journal_entries: owner updates" on public.journal_entries
+  for update to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+grant select, insert, update on public.journal_entries to authenticated;
+
+-- Photos: resized JPEGs (longest side 1280px), well under the 2 MB cap.
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('journal', 'journal', false, 2097152, array['image/jpeg'])
+on conflict (id) do nothing;
+
+-- Upload with upsert needs insert, update and select; removing a photo needs delete.
+drop policy if exists "journal photos: owner reads" on storage.objects;
+create policy "journal photos: owner reads" on storage.objects
+  for select to authenticated
+  using (bucket_id = 'journal' and (storage.foldername(name))[1] = auth.uid()::text);
+
+drop policy if exists "journal photos: owner uploads" on storage.objects;
+create policy "journal photos: owner uploads" on storage.objects
+  for insert to authenticated
+  with check (bucket_id = 'journal' and (storage.foldername(name))[1] = auth.uid()::text);
+
+drop policy if exists "journal photos: owner replaces" on storage.objects;
+create policy "journal photos: owner replaces" on storage.objects
+  for update to authenticated
+  using (bucket_id = 'journal' and (storage.foldername(name))[1] = auth.uid()::text)
+  with check (bucket_id = 'journal' and (storage.foldername(name))[1] = auth.uid()::text);
+
+drop policy if exists "journal photos: owner deletes" on storage.objects;
+create policy "journal photos: owner deletes" on storage.objects
+  for delete to authenticated
+  using (bucket_id = 'journal' and (storage.foldername(name))[1] = auth.uid()::text);
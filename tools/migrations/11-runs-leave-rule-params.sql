@@ -0,0 +1,9 @@
+-- tools/migrations/11-runs-leave-rule-params.sql
+--
+-- Result links: each run also stores the values its leave-rule preset had at the time
+-- ({thresholdMs, shortForgiven (null = unlimited), awayBudgetMs}), and a link is checked
+-- against those. Retuning a preset later then can't flip old, honest links to
+-- "Doesn't match". Older rows keep null and are checked by preset id only.
+
+alter table public.daily_runs add column if not exists leave_rule_params jsonb;
+alter table public.sessions add column if not exists leave_rule_params jsonb;
@@ -0,0 +1,152 @@
+/* tools/raid-relay.js */
+/**
+ * Local stand-in for Supabase Realtime, for testing Co-op Raid without a project.
+ *
+ *   node tools/raid-relay.js [port]      (default 8787, no dependencies)
+ *   open the app with ?raid_server=ws://127.0.0.1:8787 (loopback only, not remembered; to keep it,
+ *   set localStorage yve_raid_server in the console, and ?raid_server=off clears that)
+ *
+ * Protocol (JSON text frames):
+ * - client → relay: {type: "join", room, key, meta} | {type: "track", meta} | {type: "broadcast", event, payload}
+ * - relay → client: {type: "presence", members: [{key, meta}]} on every join/track/leave,
+ *                   {type: "broadcast", event, payload} from the other clients in the room
+ */
+
+"use strict";
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || "8787", 10);
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_FRAME = 64 * 1024;
+
+const rooms = new Map(); // room -> Set<client>
+
+// -----------------------------
+// Minimal WebSocket framing (text, ping/pong, close)
+// -----------------------------
+function encodeFrame(opcode, data) {
+  const body = Buffer.from(data);
+  let head;
+  if (body.length < 126) {
+    head = Buffer.from([0x80 | opcode, body.length]);
+  } else {
+    head = Buffer.alloc(4);
+    head[0] = 0x80 | opcode;
+    head[1] = 126;
+    head.writeUInt16BE(body.length, 2);
+  }
+  return Buffer.concat([head, body]);
+}
+
+// Returns {frames, rest}; throws on frames this relay refuses (too big, unmasked).
+function decodeFrames(buf) {
+  const frames = [];
+  let off = 0;
+  while (buf.length - off >= 2) {
+    const opcode = buf[off] & 0x0f;
+    const masked = buf[off + 1] & 0x80;
+    let len = buf[off + 1] & 0x7f;
+    let p = off + 2;
+    if (len === 126) {
+      if (buf.length - p < 2) break;
+      len = buf.readUInt16BE(p);
+      p += 2;
+    } else if (len === 127) {
+      throw new Error("frame too large");
+    }
+    if (!masked) throw new Error("client frames must be masked");
+    if (len > MAX_FRAME) throw new Error("frame too large");
+    if (buf.length - p < 4 + len) break;
+    const mask = buf.subarray(p, p + 4);
+    const data = Buffer.from(buf.subarray(p + 4, p + 4 + len));
+    for (let i = 0; i < data.length; i++) data[i] ^= mask[i % 4];
+    frames.push({ opcode, data });
+    off = p + 4 + len;
+  }
+  return { frames, rest: buf.subarray(off) };
+}
+
+// -----------------------------
+// Rooms
+// -----------------------------
+function send(client, msg) {
+  if (!client.socket.destroyed) client.socket.write(encodeFrame(0x1, JSON.stringify(msg)));
+}
+
+function announcePresence(room) {
+  const members = Array.from(rooms.get(room) || [], c => ({ key: c.key, meta: c.meta }));
+  (rooms.get(room) || []).forEach(c => send(c, { type: "presence", members }));
+}
+
+function leave(client) {
+  const set = rooms.get(client.room);
+  if (!set || !set.delete(client)) return;
+  if (set.size) announcePresence(client.room);
+  else rooms.delete(client.room);
+}
+
+function handleMessage(client, msg) {
+  if (msg.type === "join" && typeof msg.room === "string" && typeof msg.key === "string") {
+    leave(client);
+    client.room = msg.room;
+    client.key = msg.key;
+    client.meta = msg.meta || {};
+    if (!rooms.has(client.room)) rooms.set(client.room, new Set());
+    rooms.get(client.room).add(client);
+    announcePresence(client.room);
+  } else if (msg.type === "track" && client.room) {
+    client.meta = msg.meta || {};
+    announcePresence(client.room);
+  } else if (msg.type === "broadcast" && client.room && typeof msg.event === "string") {
+    rooms.get(client.room).forEach(c => {
+      if (c !== client) send(c, { type: "broadcast", event: msg.event, payload: msg.payload });
+    });
+  }
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { "Content-Type": "text/plain" });
+  res.end("WebSocket only.\n");
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || String(req.headers.upgrade).toLowerCase() !== "websocket") return socket.destroy();
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+    "Upgrade: websocket\r\n" +
+    "Connection: Upgrade\r\n" +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const client = { socket, room: null, key: null, meta: null };
+  let pending = Buffer.alloc(0);
+
+  socket.on("data", (chunk) => {
+    let out;
+    try {
+      out = decodeFrames(Buffer.concat([pending, chunk]));
+    } catch (e) {
+      console.warn("dropping client:", e.message);
+      return socket.destroy();
+    }
+    pending = out.rest;
+    out.frames.forEach(({ opcode, data }) => {
+      if (opcode === 0x8) return socket.end(encodeFrame(0x8, ""));
+      if (opcode === 0x9) return socket.write(encodeFrame(0xa, data));
+      if (opcode !== 0x1) return;
+      try {
+        handleMessage(client, JSON.parse(data.toString("utf8")));
+      } catch { /* not JSON: ignore */ }
+    });
+  });
+  socket.on("close", () => leave(client));
+  socket.on("error", () => leave(client));
+});
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`raid relay on ws://127.0.0.1:${PORT}`);
+});